@@ -2,14 +2,62 @@ import { Stats } from 'fs';
 import { Stream } from 'stream';
 
 interface Options {
+	/**
+	 * Base path that determines the destination paths of copied files when copying multiple sources or glob sources.
+	 */
+	base?: string;
 	/**
 	 * Whether to overwrite destination files.
 	 */
 	overwrite?: boolean;
+	/**
+	 * Whether to skip destination files that are unchanged from the source file.
+	 *
+	 * Files are compared by size and modification date, or by size and contents if set to `'hash'`.
+	 */
+	update?: boolean | 'hash';
+	/**
+	 * How to resolve conflicts with existing destination paths (takes precedence over `overwrite` and `update`).
+	 *
+	 * Conflict functions are invoked with the source path, destination path, source stats and destination stats of each conflicting file, and can return a promise.
+	 */
+	conflict?: CopyConflictStrategy | ConflictFunction;
+	/**
+	 * Whether to move overwritten destination paths to a backup path instead of removing them.
+	 *
+	 * Backup paths have a `~` suffix by default, or a numbered suffix (e.g. `file.txt.~1~`) if set to `'numbered'`.
+	 */
+	backup?: boolean | 'numbered' | BackupOptions;
+	/**
+	 * Whether to remove destination files that do not correspond to a copied source file.
+	 */
+	mirror?: boolean;
+	/**
+	 * Filter function / regular expression / glob that determines which destination files must not be removed by the `mirror` option (uses maximatch).
+	 */
+	protect?: string | string[] | RegExp | ((path: string) => boolean);
 	/**
 	 * Whether to expand symbolic links.
 	 */
 	expand?: boolean;
+	/**
+	 * How to copy symbolic links that are not expanded.
+	 *
+	 * `'relative'` rewrites targets within the source as relative targets, `'rebase'` retargets them to the destination, `'dereference-external'` expands links whose targets are outside the source, and `'skip'` skips symbolic links entirely.
+	 */
+	symlinks?: SymlinksMode;
+	/**
+	 * How to handle expanded symbolic links that point to one of their ancestor directories.
+	 *
+	 * `'error'` fails with an `ELOOP` error, whereas `'skip'` skips the symbolic link and emits a `symlinkCycle` event.
+	 */
+	symlinkCycles?: 'error' | 'skip';
+	/**
+	 * How to handle named pipes, sockets and device files.
+	 *
+	 * `'error'` fails with an `ESPECIALFILE` error, `'skip'` skips them, and `'recreate'` creates a matching named pipe or device file at the destination path (sockets are always skipped).
+	 */
+	specialFiles?: 'error' | 'skip' | 'recreate';
 	/**
 	 * Whether to copy files beginning with a `.`
 	 */
@@ -19,17 +67,82 @@ interface Options {
 	 */
 	junk?: boolean;
 	/**
-	 * Filter function / regular expression / glob that determines which files to copy (uses maximatch).
+	 * Filter function / regular expression / glob that determines which files to copy (uses maximatch semantics).
+	 *
+	 * Filter functions are invoked with the relative path, stats and absolute source path of each file, and can return a promise.
+	 * Filter functions can return `copy.SKIP_SUBTREE` to exclude a directory along with all of its contents.
+	 */
+	filter?: string | string[] | RegExp | FilterFunction;
+	/**
+	 * Names of ignore files (e.g. `['.gitignore', '.npmignore']`) whose rules determine which files are excluded.
+	 *
+	 * Ignore files are read from each directory as it is traversed, using `.gitignore` semantics.
 	 */
-	filter?: string | string[] | RegExp | ((path: string) => boolean);
+	ignoreFiles?: string | string[];
 	/**
 	 * Function that maps source paths to destination paths.
+	 *
+	 * Rename functions are invoked with the relative path and stats of each file, and can return a promise.
+	 */
+	rename?: (path: string, stats: Stats) => string | Promise<string>;
+	/**
+	 * How to handle multiple source paths that map to the same destination path.
+	 *
+	 * Either fails the copy before any files are copied (`'error'`), or copies only the first or last of the colliding source paths. Defaults to `'error'`.
 	 */
-	rename?: (path: string) => string;
+	collision?: 'error' | 'first' | 'last';
 	/**
 	 * Function that returns a transform stream used to modify file contents.
 	 */
 	transform?: (src: string, dest: string, stats: Stats) => Stream | null | undefined;
+	/**
+	 * Whether to continue copying the remaining files when a file fails to copy.
+	 *
+	 * If any files fail to copy, the copy is rejected with a `CopyAggregateError` once all files have been processed.
+	 */
+	continueOnError?: boolean;
+	/**
+	 * Whether to write each file to a temporary path and move it into place once it has been fully written.
+	 *
+	 * Ensures that destination files are never left partially written if the copy is interrupted.
+	 */
+	atomic?: boolean;
+	/**
+	 * Whether to clone untransformed files using copy-on-write reflinks on filesystems that support them.
+	 *
+	 * If set to `'force'`, files that cannot be cloned fail to copy. Defaults to true.
+	 */
+	reflink?: boolean | 'force';
+	/**
+	 * Whether to skip blocks of zeros when writing sparse files, so that the destination file occupies the same disk space as the source file.
+	 *
+	 * If set to `'always'`, blocks of zeros are skipped for all files, not just for sparse source files.
+	 */
+	sparse?: boolean | 'always';
+	/**
+	 * Whether to verify that each copied file matches its source, either by comparing file sizes (`'size'`) or by comparing checksums computed using the specified `crypto` hash algorithm (e.g. `'sha256'`).
+	 *
+	 * Files that fail verification are rejected with a `CopyVerificationError`.
+	 */
+	verify?: 'size' | string;
+	/**
+	 * Whether to stage the copy in a temporary directory alongside the destination, only moving the staged files into place once all files have been copied successfully.
+	 *
+	 * If the copy fails, any changes to the destination are rolled back.
+	 */
+	transaction?: boolean;
+	/**
+	 * Whether to preserve hard links between source files (`'preserve'`), or to hard link each destination file to its source file rather than copying it (`'create'`).
+	 *
+	 * Transformed files are always copied.
+	 */
+	hardlinks?: 'preserve' | 'create';
+	/**
+	 * File attributes to preserve for copied files, directories and symlinks, or `true` to preserve all attributes.
+	 *
+	 * Preserving extended attributes requires the optional `fs-xattr` package. If not specified, only the modes and timestamps of files are preserved.
+	 */
+	preserve?: boolean | PreservedAttribute | PreservedAttribute[];
 	/**
 	 * Whether to return an array of copy results.
 	 *
@@ -37,25 +150,77 @@ interface Options {
 	 */
 	results?: boolean;
 	/**
-	 * Maximum number of simultaneous copy operations.
+	 * Maximum number of simultaneous copy operations (also limits the number of simultaneous directory reads).
 	 *
 	 * Defaults to 255.
 	 */
 	concurrency?: number;
+	/**
+	 * Minimum interval between progress events, in milliseconds.
+	 *
+	 * Defaults to 100.
+	 */
+	progressInterval?: number;
 	/**
 	 * Whether to log debug information.
 	 */
 	debug?: boolean;
+	/**
+	 * Whether to return the list of planned operations without modifying the filesystem.
+	 */
+	dryRun?: boolean;
+	/**
+	 * Signal that aborts the copy operation when triggered.
+	 */
+	signal?: AbortSignalLike;
+}
+
+export type CopyConflictStrategy = 'error' | 'skip' | 'overwrite' | 'overwrite-if-newer' | 'overwrite-if-different' | 'rename' | 'backup';
+
+type ConflictFunction = (src: string, dest: string, srcStats: Stats, destStats: Stats) => CopyConflictStrategy | Promise<CopyConflictStrategy>;
+
+type PreservedAttribute = 'mode' | 'timestamps' | 'ownership' | 'xattrs';
+
+interface BackupOptions {
+	/**
+	 * Directory in which to create backups, mirroring the structure of the destination directory.
+	 */
+	directory?: string;
+	/**
+	 * Suffix appended to backup paths.
+	 *
+	 * Defaults to `'~'`, or no suffix if a backup directory is specified.
+	 */
+	suffix?: string;
+	/**
+	 * Whether to append a numbered suffix to backup paths, preserving any existing backups.
+	 */
+	numbered?: boolean;
+}
+
+type FilterResult = boolean | typeof SKIP_SUBTREE;
+
+type FilterFunction = (path: string, stats: Stats, src: string) => FilterResult | Promise<FilterResult>;
+
+interface AbortSignalLike {
+	readonly aborted: boolean;
+	addEventListener(type: 'abort', listener: () => void): void;
+	removeEventListener(type: 'abort', listener: () => void): void;
 }
 
 interface CopyFn {
 	(
-		source: string,
+		source: string | string[],
+		dest: string,
+		options: Options & { dryRun: true },
+	): WithCopyEvents<Promise<Array<PlannedOperation>>>;
+	(
+		source: string | string[],
 		dest: string,
 		options?: Options,
 	): WithCopyEvents<Promise<Array<CopyOperation>>>;
 	(
-		source: string,
+		source: string | string[],
 		dest: string,
 		callback: (error: Error | null, results?: Array<CopyOperation>) => void,
 	): WithCopyEvents<{}>;
@@ -68,12 +233,38 @@ interface CopyFn {
 		CREATE_SYMLINK_START: CopyEventType.CREATE_SYMLINK_START;
 		CREATE_SYMLINK_ERROR: CopyEventType.CREATE_SYMLINK_ERROR;
 		CREATE_SYMLINK_COMPLETE: CopyEventType.CREATE_SYMLINK_COMPLETE;
+		CREATE_SPECIAL_FILE_START: CopyEventType.CREATE_SPECIAL_FILE_START;
+		CREATE_SPECIAL_FILE_ERROR: CopyEventType.CREATE_SPECIAL_FILE_ERROR;
+		CREATE_SPECIAL_FILE_COMPLETE: CopyEventType.CREATE_SPECIAL_FILE_COMPLETE;
+		SPECIAL_FILE_SKIPPED: CopyEventType.SPECIAL_FILE_SKIPPED;
 		COPY_FILE_START: CopyEventType.COPY_FILE_START;
 		COPY_FILE_ERROR: CopyEventType.COPY_FILE_ERROR;
 		COPY_FILE_COMPLETE: CopyEventType.COPY_FILE_COMPLETE;
+		COPY_FILE_SKIPPED: CopyEventType.COPY_FILE_SKIPPED;
+		REMOVE_START: CopyEventType.REMOVE_START;
+		REMOVE_ERROR: CopyEventType.REMOVE_ERROR;
+		REMOVE_COMPLETE: CopyEventType.REMOVE_COMPLETE;
+		BACKUP_START: CopyEventType.BACKUP_START;
+		BACKUP_ERROR: CopyEventType.BACKUP_ERROR;
+		BACKUP_COMPLETE: CopyEventType.BACKUP_COMPLETE;
+		SYMLINK_CYCLE: CopyEventType.SYMLINK_CYCLE;
+		PROGRESS: CopyEventType.PROGRESS;
+	};
+	actions: {
+		CREATE_DIRECTORY: CopyActionType.CREATE_DIRECTORY;
+		MERGE_DIRECTORY: CopyActionType.MERGE_DIRECTORY;
+		CREATE_SYMLINK: CopyActionType.CREATE_SYMLINK;
+		COPY_FILE: CopyActionType.COPY_FILE;
+		CREATE_HARDLINK: CopyActionType.CREATE_HARDLINK;
+		CREATE_SPECIAL_FILE: CopyActionType.CREATE_SPECIAL_FILE;
+		SKIP: CopyActionType.SKIP;
+		REMOVE: CopyActionType.REMOVE;
 	};
+	SKIP_SUBTREE: typeof SKIP_SUBTREE;
 }
 
+declare const SKIP_SUBTREE: 'skipSubtree';
+
 declare const copy: CopyFn;
 export default copy;
 
@@ -82,13 +273,156 @@ export interface CopyErrorInfo {
 	dest: string;
 }
 
+export interface CopyFailure {
+	src: string;
+	dest: string;
+	error: Error;
+}
+
+export interface CopySpecialFileError extends Error {
+	code: 'ESPECIALFILE';
+	/**
+	 * Source path of the special file.
+	 */
+	path: string;
+	fileType: 'fifo' | 'socket' | 'block-device' | 'character-device';
+}
+
+export interface CopyVerificationError extends Error {
+	code: 'EVERIFY';
+	/**
+	 * Destination path of the file that failed verification.
+	 */
+	path: string;
+	algorithm: string;
+	/**
+	 * File size (if `algorithm` is `'size'`) or checksum of the source file.
+	 */
+	expected: string | number;
+	/**
+	 * File size (if `algorithm` is `'size'`) or checksum of the destination file.
+	 */
+	actual: string | number;
+}
+
+export interface CopySymlinkCycleError extends Error {
+	code: 'ELOOP';
+	/**
+	 * Source path of the symbolic link that causes the cycle.
+	 */
+	path: string;
+	/**
+	 * Ancestor directory that the symbolic link points to.
+	 */
+	target: string;
+}
+
+export interface CopyCollisionError extends Error {
+	code: 'ECOLLISION';
+	collisions: Array<CopyCollision>;
+}
+
+export interface CopyCollision {
+	dest: string;
+	sources: Array<string>;
+}
+
+export interface CopyAggregateError extends Error {
+	errors: Array<Error>;
+	failures: Array<CopyFailure>;
+	results: Array<CopyOperation> | undefined;
+}
+
 export interface CopyOperation {
 	src: string;
 	dest: string;
 	stats: Stats;
+	status: CopyStatus;
+	/**
+	 * Strategy used to resolve a conflict with an existing destination path (only present if the `conflict` option was used).
+	 */
+	conflict?: CopyConflictStrategy;
+	/**
+	 * Path that the existing destination file was moved to before being overwritten.
+	 */
+	backup?: string;
+	/**
+	 * Path that the destination file was hard linked to (only present if the `hardlinks` option was used).
+	 */
+	hardlink?: string;
+	/**
+	 * How the symbolic link was copied (only present for symbolic links that were not expanded).
+	 */
+	symlink?: SymlinkOperation;
+	/**
+	 * Hex-encoded checksum of the copied file contents (only present if the `verify` option was set to a hash algorithm).
+	 */
+	digest?: string;
+}
+
+export type CopyStatus = 'copied' | 'merged' | 'overwritten' | 'skipped';
+
+export interface RemoveOperation {
+	dest: string;
+	stats: Stats;
+}
+
+export interface BackupOperation {
+	dest: string;
+	backup: string;
+	stats: Stats;
+}
+
+export type SymlinksMode = 'preserve' | 'relative' | 'rebase' | 'dereference-external' | 'skip';
+
+export interface SymlinkOperation {
+	/**
+	 * Target of the source symbolic link.
+	 */
+	target: string;
+	/**
+	 * Target of the destination symbolic link, or `null` if the symbolic link was dereferenced or skipped.
+	 */
+	link: string | null;
+	status: 'preserved' | 'rewritten' | 'dereferenced' | 'skipped';
 }
 
+export interface SymlinkCycle {
+	/**
+	 * Source path of the symbolic link that causes the cycle.
+	 */
+	src: string;
+	/**
+	 * Ancestor directory that the symbolic link points to.
+	 */
+	target: string;
+	stats: Stats;
+}
+
+export interface CopyProgress {
+	src: string;
+	dest: string;
+	fileBytesCopied: number;
+	fileBytesTotal: number;
+	filesCopied: number;
+	filesTotal: number;
+	bytesCopied: number;
+	bytesTotal: number;
+}
+
+export interface PlannedCopyOperation extends CopyOperation {
+	action: Exclude<CopyActionType, CopyActionType.REMOVE>;
+	overwrite: boolean;
+}
+
+export interface PlannedRemoveOperation extends RemoveOperation {
+	action: CopyActionType.REMOVE;
+}
+
+export type PlannedOperation = PlannedCopyOperation | PlannedRemoveOperation;
+
 type WithCopyEvents<T> = T & {
+	abort(): void;
 	on(event: CopyEventType.ERROR, callback: (error: Error, info: CopyErrorInfo) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COMPLETE, callback: (info: Array<CopyOperation>) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_DIRECTORY_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
@@ -97,9 +431,22 @@ type WithCopyEvents<T> = T & {
 	on(event: CopyEventType.CREATE_SYMLINK_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_SYMLINK_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_SYMLINK_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.SPECIAL_FILE_SKIPPED, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.COPY_FILE_SKIPPED, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_START, callback: (info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_ERROR, callback: (error: Error, info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_COMPLETE, callback: (info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_START, callback: (info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_ERROR, callback: (error: Error, info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_COMPLETE, callback: (info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.SYMLINK_CYCLE, callback: (info: SymlinkCycle) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.PROGRESS, callback: (info: CopyProgress) => void): WithCopyEvents<T>;
 }
 
 export enum CopyEventType {
@@ -111,7 +458,31 @@ export enum CopyEventType {
 	CREATE_SYMLINK_START = 'createSymlinkStart',
 	CREATE_SYMLINK_ERROR = 'createSymlinkError',
 	CREATE_SYMLINK_COMPLETE = 'createSymlinkComplete',
+	CREATE_SPECIAL_FILE_START = 'createSpecialFileStart',
+	CREATE_SPECIAL_FILE_ERROR = 'createSpecialFileError',
+	CREATE_SPECIAL_FILE_COMPLETE = 'createSpecialFileComplete',
+	SPECIAL_FILE_SKIPPED = 'specialFileSkipped',
 	COPY_FILE_START = 'copyFileStart',
 	COPY_FILE_ERROR = 'copyFileError',
 	COPY_FILE_COMPLETE = 'copyFileComplete',
+	COPY_FILE_SKIPPED = 'copyFileSkipped',
+	REMOVE_START = 'removeStart',
+	REMOVE_ERROR = 'removeError',
+	REMOVE_COMPLETE = 'removeComplete',
+	BACKUP_START = 'backupStart',
+	BACKUP_ERROR = 'backupError',
+	BACKUP_COMPLETE = 'backupComplete',
+	SYMLINK_CYCLE = 'symlinkCycle',
+	PROGRESS = 'progress',
+}
+
+export enum CopyActionType {
+	CREATE_DIRECTORY = 'createDirectory',
+	MERGE_DIRECTORY = 'mergeDirectory',
+	CREATE_SYMLINK = 'createSymlink',
+	COPY_FILE = 'copyFile',
+	CREATE_HARDLINK = 'createHardlink',
+	CREATE_SPECIAL_FILE = 'createSpecialFile',
+	SKIP = 'skip',
+	REMOVE = 'remove',
 }
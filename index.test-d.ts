@@ -1,4 +1,4 @@
-import copy, { CopyErrorInfo, CopyEventType, CopyOperation } from '.';
+import copy, { BackupOperation, CopyActionType, CopyAggregateError, CopyCollisionError, CopyConflictStrategy, CopyErrorInfo, CopyEventType, CopyOperation, CopyProgress, CopySpecialFileError, CopySymlinkCycleError, CopyVerificationError, PlannedOperation, RemoveOperation, SymlinkCycle, SymlinkOperation } from '.';
 import { Stream } from 'stream';
 import { expectError, expectType } from 'tsd';
 
@@ -12,9 +12,22 @@ copy('source', 'dest')
 	.on(copy.events.CREATE_SYMLINK_START, (info) => {})
 	.on(copy.events.CREATE_SYMLINK_ERROR, (error, info) => {})
 	.on(copy.events.CREATE_SYMLINK_COMPLETE, (info) => {})
+	.on(copy.events.CREATE_SPECIAL_FILE_START, (info) => {})
+	.on(copy.events.CREATE_SPECIAL_FILE_ERROR, (error, info) => {})
+	.on(copy.events.CREATE_SPECIAL_FILE_COMPLETE, (info) => {})
+	.on(copy.events.SPECIAL_FILE_SKIPPED, (info) => {})
 	.on(copy.events.COPY_FILE_START, (info) => {})
 	.on(copy.events.COPY_FILE_ERROR, (error, info) => {})
 	.on(copy.events.COPY_FILE_COMPLETE, (info) => {})
+	.on(copy.events.COPY_FILE_SKIPPED, (info) => {})
+	.on(copy.events.REMOVE_START, (info) => {})
+	.on(copy.events.REMOVE_ERROR, (error, info) => {})
+	.on(copy.events.REMOVE_COMPLETE, (info) => {})
+	.on(copy.events.BACKUP_START, (info) => {})
+	.on(copy.events.BACKUP_ERROR, (error, info) => {})
+	.on(copy.events.BACKUP_COMPLETE, (info) => {})
+	.on(copy.events.SYMLINK_CYCLE, (info) => {})
+	.on(copy.events.PROGRESS, (info) => {})
 	.then(() => {})
 	.catch(e => {});
 
@@ -32,6 +45,113 @@ copy('source', 'dest', (error, results) => {})
 	.on(copy.events.COPY_FILE_ERROR, (error, info) => {})
 	.on(copy.events.COPY_FILE_COMPLETE, (info) => {});
 
+// Aggregate errors
+copy('source', 'dest', { continueOnError: true })
+	.catch((error: CopyAggregateError) => {
+		expectType<Array<Error>>(error.errors);
+		expectType<string>(error.failures[0].src);
+		expectType<Error>(error.failures[0].error);
+	});
+
+// Destination path collisions
+copy('source', 'dest', { rename: (path, stats) => Promise.resolve(stats.isDirectory() ? path : 'file') })
+	.catch((error: CopyCollisionError) => {
+		expectType<string>(error.collisions[0].dest);
+		expectType<Array<string>>(error.collisions[0].sources);
+	});
+expectError(copy('source', 'dest', { collision: 'overwrite' }));
+
+// Conflict resolution
+copy('source', 'dest', { conflict: (src, dest, srcStats, destStats) => Promise.resolve(srcStats.size === destStats.size ? 'skip' : 'backup') })
+	.then((results) => {
+		expectType<CopyConflictStrategy | undefined>(results[0].conflict);
+		expectType<string | undefined>(results[0].backup);
+	});
+expectError(copy('source', 'dest', { conflict: 'replace' }));
+
+// Backups
+copy('source', 'dest', { overwrite: true, backup: 'numbered' })
+	.on(copy.events.BACKUP_COMPLETE, (info) => {
+		expectType<BackupOperation>(info);
+	});
+copy('source', 'dest', { overwrite: true, backup: { directory: 'backups', suffix: '.bak' } });
+expectError(copy('source', 'dest', { backup: 'simple' }));
+
+// Symbolic links
+copy('source', 'dest', { symlinks: 'relative' })
+	.then((results) => {
+		expectType<SymlinkOperation | undefined>(results[0].symlink);
+	});
+expectError(copy('source', 'dest', { symlinks: 'follow' }));
+copy('source', 'dest', { expand: true, symlinkCycles: 'skip' })
+	.on(copy.events.SYMLINK_CYCLE, (info) => {
+		expectType<SymlinkCycle>(info);
+	});
+copy('source', 'dest', { expand: true })
+	.catch((error: CopySymlinkCycleError) => {
+		expectType<string>(error.path);
+		expectType<string>(error.target);
+	});
+expectError(copy('source', 'dest', { symlinkCycles: true }));
+
+// Special files
+copy('source', 'dest')
+	.catch((error: CopySpecialFileError) => {
+		expectType<string>(error.path);
+		expectType<'fifo' | 'socket' | 'block-device' | 'character-device'>(error.fileType);
+	});
+copy('source', 'dest', { specialFiles: 'recreate' })
+	.on(copy.events.CREATE_SPECIAL_FILE_COMPLETE, (info) => {
+		expectType<CopyOperation>(info);
+	});
+expectError(copy('source', 'dest', { specialFiles: 'copy' }));
+
+// Sparse files
+copy('source', 'dest', { sparse: true });
+expectError(copy('source', 'dest', { sparse: 'auto' }));
+
+// Verification
+copy('source', 'dest', { verify: 'sha256' })
+	.then((results) => {
+		expectType<string | undefined>(results[0].digest);
+	})
+	.catch((error: CopyVerificationError) => {
+		expectType<'EVERIFY'>(error.code);
+		expectType<string>(error.path);
+		expectType<string | number>(error.expected);
+	});
+expectError(copy('source', 'dest', { verify: true }));
+
+// Hard links
+copy('source', 'dest', { hardlinks: 'create' })
+	.then((results) => {
+		expectType<string | undefined>(results[0].hardlink);
+	});
+expectError(copy('source', 'dest', { hardlinks: true }));
+
+// Preserved attributes
+copy('source', 'dest', { preserve: true });
+copy('source', 'dest', { preserve: 'ownership' });
+expectError(copy('source', 'dest', { preserve: ['acl'] }));
+
+// Cancellation
+copy('source', 'dest').abort();
+copy('source', 'dest', (error, results) => {}).abort();
+copy('source', 'dest', {
+	signal: {
+		aborted: false,
+		addEventListener: (type: 'abort', listener: () => void) => {},
+		removeEventListener: (type: 'abort', listener: () => void) => {},
+	},
+});
+expectError(copy('source', 'dest', {signal: true}));
+
+// Multiple sources
+copy(['source/**/*.html', 'assets'], 'dest', { base: 'source' })
+	.then((results) => {
+		expectType<Array<CopyOperation>>(results);
+	});
+
 // Prevent specifying both callback and promise interfaces
 expectError(copy('source', 'dest', (error, results) => {}).then(() => {}));
 
@@ -42,10 +162,16 @@ copy('source', 'dest', {})
 
 copy('source', 'dest', {
 	overwrite: true,
+	update: true,
+	conflict: 'overwrite-if-newer',
+	backup: true,
+	mirror: true,
+	protect: ['abc', '!def'],
 	expand: true,
 	dot: true,
 	junk: true,
 	rename: (path: string) => 'abc/' + path,
+	collision: 'last',
 	transform: (src: string, dest: string, stats) => {
 		if (stats.isDirectory()) {
 			return new Stream();
@@ -54,8 +180,22 @@ copy('source', 'dest', {
 		}
 	},
 	results: true,
+	continueOnError: true,
+	ignoreFiles: ['.gitignore', '.npmignore'],
+	atomic: true,
+	reflink: 'force',
+	sparse: 'always',
+	verify: 'sha256',
+	transaction: true,
+	symlinks: 'dereference-external',
+	symlinkCycles: 'skip',
+	specialFiles: 'skip',
+	hardlinks: 'preserve',
+	preserve: ['mode', 'timestamps', 'ownership', 'xattrs'],
 	concurrency: 123,
+	progressInterval: 1000,
 	debug: true,
+	dryRun: false,
 })
 	.then(() => {})
 	.catch(e => {});
@@ -65,12 +205,38 @@ copy('source', 'dest', {filter: 'abc'});
 copy('source', 'dest', {filter: /abc/});
 copy('source', 'dest', {filter: ['abc', 'def']});
 copy('source', 'dest', {filter: (path) => false});
+copy('source', 'dest', {filter: (path) => path === 'node_modules' ? copy.SKIP_SUBTREE : true});
+copy('source', 'dest', {filter: async (path, stats, src) => stats.size < 10e6 && src.length > 0});
+
+// Test each 'protect' type.
+copy('source', 'dest', {protect: 'abc'});
+copy('source', 'dest', {protect: /abc/});
+copy('source', 'dest', {protect: ['abc', 'def']});
+copy('source', 'dest', {protect: (path) => false});
+
+// Test each 'update' type.
+copy('source', 'dest', {update: false});
+copy('source', 'dest', {update: 'hash'});
+expectError(copy('source', 'dest', {update: 'mtime'}));
 
 expectType<WithCopyEvents<Promise<Array<CopyOperation>>>>(copy('source', 'dest'));
 
 expectType<WithCopyEvents<{}>>(copy('source', 'dest', () => {}));
 
+// Dry run should resolve with planned operations
+expectType<WithCopyEvents<Promise<Array<PlannedOperation>>>>(copy('source', 'dest', { dryRun: true }));
+copy('source', 'dest', { dryRun: true })
+	.then((results) => {
+		const operation = results[0];
+		expectType<CopyActionType>(operation.action);
+		if (operation.action !== CopyActionType.REMOVE) {
+			expectType<boolean>(operation.overwrite);
+		}
+	});
+expectType<CopyActionType.COPY_FILE>(copy.actions.COPY_FILE);
+
 type WithCopyEvents<T> = T & {
+	abort(): void;
 	on(event: CopyEventType.ERROR, callback: (error: Error, info: CopyErrorInfo) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COMPLETE, callback: (info: Array<CopyOperation>) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_DIRECTORY_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
@@ -79,9 +245,22 @@ type WithCopyEvents<T> = T & {
 	on(event: CopyEventType.CREATE_SYMLINK_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_SYMLINK_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.CREATE_SYMLINK_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.CREATE_SPECIAL_FILE_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.SPECIAL_FILE_SKIPPED, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_START, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_ERROR, callback: (error: Error, info: CopyOperation) => void): WithCopyEvents<T>;
 	on(event: CopyEventType.COPY_FILE_COMPLETE, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.COPY_FILE_SKIPPED, callback: (info: CopyOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_START, callback: (info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_ERROR, callback: (error: Error, info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.REMOVE_COMPLETE, callback: (info: RemoveOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_START, callback: (info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_ERROR, callback: (error: Error, info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.BACKUP_COMPLETE, callback: (info: BackupOperation) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.SYMLINK_CYCLE, callback: (info: SymlinkCycle) => void): WithCopyEvents<T>;
+	on(event: CopyEventType.PROGRESS, callback: (info: CopyProgress) => void): WithCopyEvents<T>;
 }
 
 expectError(copy(123, 'dest'));
@@ -0,0 +1,273 @@
+'use strict';
+
+var Promise = global.Promise || require('promise');
+
+var path = require('path');
+
+var copy = require('./copy');
+var pkg = require('../package.json');
+
+var EXIT_SUCCESS = 0;
+var EXIT_FAILURE = 1;
+var EXIT_USAGE = 2;
+
+var FLAG_BOOLEAN = 'boolean';
+var FLAG_NUMBER = 'number';
+var FLAG_LIST = 'list';
+var FLAG_MODULE = 'module';
+var FLAG_PATH = 'path';
+var FLAG_CHOICE = 'choice';
+
+var FLAGS = {
+	'overwrite': { type: FLAG_BOOLEAN, description: 'Overwrite destination files' },
+	'update': { type: FLAG_BOOLEAN, values: ['hash'], description: 'Skip unchanged files (--update=hash compares file contents)' },
+	'conflict': { type: FLAG_CHOICE, values: ['error', 'skip', 'overwrite', 'overwrite-if-newer', 'overwrite-if-different', 'rename', 'backup'], arg: 'strategy', description: 'How to resolve conflicts with existing destination files' },
+	'backup': { type: FLAG_BOOLEAN, values: ['numbered'], description: 'Back up overwritten destination files (--backup=numbered creates numbered backups)' },
+	'expand': { type: FLAG_BOOLEAN, description: 'Expand symbolic links' },
+	'symlinks': { type: FLAG_CHOICE, values: ['preserve', 'relative', 'rebase', 'dereference-external', 'skip'], arg: 'mode', description: 'How to copy symbolic links (preserve, relative, rebase, dereference-external, skip)' },
+	'symlink-cycles': { type: FLAG_CHOICE, values: ['error', 'skip'], option: 'symlinkCycles', arg: 'strategy', description: 'How to handle symbolic links that point to an ancestor directory (error, skip)' },
+	'special-files': { type: FLAG_CHOICE, values: ['error', 'skip', 'recreate'], option: 'specialFiles', arg: 'mode', description: 'How to handle named pipes, sockets and device files (error, skip, recreate)' },
+	'dot': { type: FLAG_BOOLEAN, description: 'Copy files beginning with a .' },
+	'junk': { type: FLAG_BOOLEAN, description: 'Copy OS junk files (e.g. .DS_Store, Thumbs.db)' },
+	'mirror': { type: FLAG_BOOLEAN, description: 'Remove destination files that are missing from the source' },
+	'protect': { type: FLAG_LIST, arg: 'glob', description: 'Glob that determines which destination files are never removed (repeatable)' },
+	'filter': { type: FLAG_LIST, arg: 'glob', description: 'Glob that determines which files to copy (repeatable)' },
+	'ignore-file': { type: FLAG_LIST, option: 'ignoreFiles', arg: 'name', description: 'Name of an ignore file whose rules exclude files from the copy (repeatable)' },
+	'base': { type: FLAG_PATH, arg: 'path', description: 'Base path that determines the destination paths of multiple sources' },
+	'rename': { type: FLAG_MODULE, arg: 'module', description: 'Module exporting a function that maps source paths to destination paths' },
+	'collision': { type: FLAG_CHOICE, values: ['error', 'first', 'last'], arg: 'strategy', description: 'How to handle source paths that map to the same destination path (error, first, last)' },
+	'transform': { type: FLAG_MODULE, arg: 'module', description: 'Module exporting a function that returns a transform stream' },
+	'continue-on-error': { type: FLAG_BOOLEAN, option: 'continueOnError', description: 'Continue copying the remaining files when a file fails to copy' },
+	'atomic': { type: FLAG_BOOLEAN, description: 'Write files to a temporary path before moving them into place' },
+	'reflink': { type: FLAG_BOOLEAN, values: ['force'], description: 'Clone files using copy-on-write reflinks where supported (--reflink=force fails if unsupported)' },
+	'sparse': { type: FLAG_BOOLEAN, values: ['always'], description: 'Preserve holes in sparse files (--sparse=always creates holes in all files)' },
+	'verify': { arg: 'algorithm', description: 'Verify copied files by size or checksum algorithm (e.g. size, sha256)' },
+	'transaction': { type: FLAG_BOOLEAN, description: 'Copy all files or none at all, rolling back any changes on failure' },
+	'hardlinks': { type: FLAG_CHOICE, values: ['preserve', 'create'], arg: 'mode', description: 'Preserve hard links between source files (preserve), or link destination files to source files (create)' },
+	'preserve': { type: FLAG_LIST, arg: 'attribute', description: 'File attribute to preserve: mode, timestamps, ownership or xattrs (repeatable)' },
+	'concurrency': { type: FLAG_NUMBER, arg: 'n', description: 'Maximum number of simultaneous copy operations' },
+	'debug': { type: FLAG_BOOLEAN, description: 'Log debug information' },
+	'dry-run': { type: FLAG_BOOLEAN, option: 'dryRun', description: 'Log the planned operations without copying anything' },
+	'quiet': { type: FLAG_BOOLEAN, cli: true, description: 'Do not log progress' },
+	'help': { type: FLAG_BOOLEAN, cli: true, alias: 'h', description: 'Show usage information' },
+	'version': { type: FLAG_BOOLEAN, cli: true, alias: 'v', description: 'Show version number' }
+};
+
+module.exports = function(args, io) {
+	var stdout = io.stdout;
+	var stderr = io.stderr;
+	var cwd = io.cwd || process.cwd();
+
+	var parsed;
+	try {
+		parsed = parseArgs(args);
+	} catch (error) {
+		stderr.write(error.message + '\n\n' + getUsage());
+		return Promise.resolve(EXIT_USAGE);
+	}
+
+	if (parsed.flags.help) {
+		stdout.write(getUsage());
+		return Promise.resolve(EXIT_SUCCESS);
+	}
+	if (parsed.flags.version) {
+		stdout.write(pkg.version + '\n');
+		return Promise.resolve(EXIT_SUCCESS);
+	}
+	if (parsed.positionals.length < 2) {
+		stderr.write('Expected a source and a destination path\n\n' + getUsage());
+		return Promise.resolve(EXIT_USAGE);
+	}
+
+	var options;
+	try {
+		options = getCopyOptions(parsed.flags, cwd);
+	} catch (error) {
+		stderr.write(error.message + '\n');
+		return Promise.resolve(EXIT_USAGE);
+	}
+
+	if (io.signal) { options.signal = io.signal; }
+
+	var srcPaths = parsed.positionals.slice(0, -1).map(function(srcPath) {
+		return path.resolve(cwd, srcPath);
+	});
+	var src = (srcPaths.length === 1 ? srcPaths[0] : srcPaths);
+	var dest = path.resolve(cwd, parsed.positionals[parsed.positionals.length - 1]);
+	var isQuiet = Boolean(parsed.flags.quiet);
+	var numFiles = 0;
+	var errorInfo = null;
+
+	if (options.dryRun) {
+		return copy(src, dest, options)
+			.then(function(operations) {
+				operations.forEach(function(operation) {
+					if (operation.action === copy.actions.REMOVE) {
+						stdout.write(operation.action + ': ' + operation.dest + '\n');
+					} else {
+						stdout.write(operation.action + (operation.overwrite ? ' (overwrite)' : '') + ': ' + operation.src + ' -> ' + operation.dest + '\n');
+					}
+				});
+				return EXIT_SUCCESS;
+			})
+			.catch(function(error) {
+				return handleError(error, null);
+			});
+	}
+
+	return copy(src, dest, options)
+		.on(copy.events.COPY_FILE_START, function(copyOperation) {
+			if (!isQuiet) { stdout.write('Copying ' + copyOperation.src + '…\n'); }
+		})
+		.on(copy.events.COPY_FILE_COMPLETE, function(copyOperation) {
+			numFiles++;
+			if (!isQuiet) { stdout.write('Copied to ' + copyOperation.dest + '\n'); }
+		})
+		.on(copy.events.ERROR, function(error, info) {
+			errorInfo = info;
+		})
+		.then(function() {
+			if (!isQuiet) { stdout.write(numFiles + ' file(s) copied\n'); }
+			return EXIT_SUCCESS;
+		})
+		.catch(function(error) {
+			return handleError(error, errorInfo);
+		});
+
+	function handleError(error, errorInfo) {
+		stderr.write('Copy failed: ' + (error && error.message) + '\n');
+		var failures = (error && error.failures) || (errorInfo ? [errorInfo] : []);
+		failures.forEach(function(failure) {
+			if (failure.error) { stderr.write('  ' + failure.error.message + '\n'); }
+			stderr.write('  src: ' + failure.src + '\n');
+			stderr.write('  dest: ' + failure.dest + '\n');
+		});
+		return EXIT_FAILURE;
+	}
+};
+
+function parseArgs(args) {
+	var flags = {};
+	var positionals = [];
+	var aliases = Object.keys(FLAGS).reduce(function(aliases, name) {
+		if (FLAGS[name].alias) { aliases[FLAGS[name].alias] = name; }
+		return aliases;
+	}, {});
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+		if (arg === '--') {
+			positionals = positionals.concat(args.slice(i + 1));
+			break;
+		}
+		var longMatch = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+		var shortMatch = /^-(\w)$/.exec(arg);
+		if (!longMatch && !shortMatch) {
+			positionals.push(arg);
+			continue;
+		}
+		var name = longMatch ? longMatch[1] : aliases[shortMatch[1]];
+		var value = longMatch ? longMatch[2] : undefined;
+		var isNegated = Boolean(name && !FLAGS[name] && (name.indexOf('no-') === 0) && FLAGS[name.slice('no-'.length)]);
+		if (isNegated) { name = name.slice('no-'.length); }
+		var flag = FLAGS[name];
+		if (!flag) { throw new Error('Unknown option: ' + arg); }
+		if (flag.type === FLAG_BOOLEAN) {
+			if (value === undefined) {
+				flags[name] = !isNegated;
+			} else if (!isNegated && flag.values && (flag.values.indexOf(value) !== -1)) {
+				flags[name] = value;
+			} else {
+				throw new Error('Invalid value for --' + name + ': ' + value);
+			}
+			continue;
+		}
+		if (isNegated) { throw new Error('Unknown option: ' + arg); }
+		if (value === undefined) {
+			if (i + 1 >= args.length) { throw new Error('Option --' + name + ' requires a value'); }
+			value = args[++i];
+		}
+		if (flag.type === FLAG_LIST) {
+			flags[name] = (flags[name] || []).concat(value);
+		} else {
+			flags[name] = value;
+		}
+	}
+	return {
+		flags: flags,
+		positionals: positionals
+	};
+}
+
+function getCopyOptions(flags, cwd) {
+	return Object.keys(flags).reduce(function(options, name) {
+		var flag = FLAGS[name];
+		if (flag.cli) { return options; }
+		var value = flags[name];
+		var optionName = flag.option || name;
+		switch (flag.type) {
+			case FLAG_NUMBER:
+				options[optionName] = parseNumber(name, value);
+				break;
+			case FLAG_LIST:
+				options[optionName] = value.length === 1 ? value[0] : value;
+				break;
+			case FLAG_MODULE:
+				options[optionName] = loadFunction(name, value, cwd);
+				break;
+			case FLAG_PATH:
+				options[optionName] = path.resolve(cwd, value);
+				break;
+			case FLAG_CHOICE:
+				options[optionName] = parseChoice(name, value, flag.values);
+				break;
+			default:
+				options[optionName] = value;
+				break;
+		}
+		return options;
+	}, { results: Boolean(flags['dry-run']) });
+}
+
+function parseNumber(name, value) {
+	var number = Number(value);
+	if (!value || isNaN(number) || (number <= 0) || (Math.floor(number) !== number)) {
+		throw new Error('Invalid value for --' + name + ': ' + value);
+	}
+	return number;
+}
+
+function parseChoice(name, value, values) {
+	if (values.indexOf(value) === -1) {
+		throw new Error('Invalid value for --' + name + ': ' + value);
+	}
+	return value;
+}
+
+function loadFunction(name, modulePath, cwd) {
+	var fn = require(path.resolve(cwd, modulePath));
+	if (fn && (typeof fn.default === 'function')) { fn = fn.default; }
+	if (typeof fn !== 'function') {
+		throw new Error('Module specified by --' + name + ' must export a function: ' + modulePath);
+	}
+	return fn;
+}
+
+function getUsage() {
+	var lines = Object.keys(FLAGS).map(function(name) {
+		var flag = FLAGS[name];
+		var label = (flag.alias ? '-' + flag.alias + ', ' : '    ') + '--' + name + (flag.arg ? ' <' + flag.arg + '>' : '');
+		return '  ' + pad(label, 28) + flag.description;
+	});
+	return [
+		'Usage: recursive-copy [options] <src>... <dest>',
+		'',
+		'Options:'
+	].concat(lines).join('\n') + '\n';
+}
+
+function pad(value, length) {
+	while (value.length < length) { value += ' '; }
+	return value;
+}
+
+module.exports.parseArgs = parseArgs;
@@ -4,16 +4,27 @@ var Promise = global.Promise || require('promise');
 
 var fs = require('graceful-fs');
 var path = require('path');
+var crypto = require('crypto');
+var childProcess = require('child_process');
 var EventEmitter = require('events').EventEmitter;
+var Writable = require('stream').Writable;
 var pify = require('pify');
 var mkdirp = require('mkdirp');
 var rimraf = require('rimraf');
 var junk = require('junk');
+var ignore = require('ignore/legacy');
 var errno = require('errno');
 var maximatch = require('maximatch');
+var minimatch = require('minimatch');
 var slash = require('slash');
+var xattr = requireOptional('fs-xattr');
 
 var CopyError = errno.custom.createError('CopyError');
+var AbortError = errno.custom.createError('AbortError');
+var CollisionError = errno.custom.createError('CollisionError');
+var SymlinkCycleError = errno.custom.createError('SymlinkCycleError');
+var SpecialFileError = errno.custom.createError('SpecialFileError');
+var VerificationError = errno.custom.createError('VerificationError');
 
 var EVENT_ERROR = 'error';
 var EVENT_COMPLETE = 'complete';
@@ -23,17 +34,129 @@ var EVENT_CREATE_DIRECTORY_COMPLETE = 'createDirectoryComplete';
 var EVENT_CREATE_SYMLINK_START = 'createSymlinkStart';
 var EVENT_CREATE_SYMLINK_ERROR = 'createSymlinkError';
 var EVENT_CREATE_SYMLINK_COMPLETE = 'createSymlinkComplete';
+var EVENT_CREATE_SPECIAL_FILE_START = 'createSpecialFileStart';
+var EVENT_CREATE_SPECIAL_FILE_ERROR = 'createSpecialFileError';
+var EVENT_CREATE_SPECIAL_FILE_COMPLETE = 'createSpecialFileComplete';
+var EVENT_SPECIAL_FILE_SKIPPED = 'specialFileSkipped';
 var EVENT_COPY_FILE_START = 'copyFileStart';
 var EVENT_COPY_FILE_ERROR = 'copyFileError';
 var EVENT_COPY_FILE_COMPLETE = 'copyFileComplete';
+var EVENT_COPY_FILE_SKIPPED = 'copyFileSkipped';
+var EVENT_REMOVE_START = 'removeStart';
+var EVENT_REMOVE_ERROR = 'removeError';
+var EVENT_REMOVE_COMPLETE = 'removeComplete';
+var EVENT_BACKUP_START = 'backupStart';
+var EVENT_BACKUP_ERROR = 'backupError';
+var EVENT_BACKUP_COMPLETE = 'backupComplete';
+var EVENT_SYMLINK_CYCLE = 'symlinkCycle';
+var EVENT_PROGRESS = 'progress';
+
+var ACTION_CREATE_DIRECTORY = 'createDirectory';
+var ACTION_MERGE_DIRECTORY = 'mergeDirectory';
+var ACTION_CREATE_SYMLINK = 'createSymlink';
+var ACTION_COPY_FILE = 'copyFile';
+var ACTION_CREATE_HARDLINK = 'createHardlink';
+var ACTION_CREATE_SPECIAL_FILE = 'createSpecialFile';
+var ACTION_SKIP = 'skip';
+var ACTION_REMOVE = 'remove';
+
+var RESOLUTION_CREATE = 'create';
+var RESOLUTION_MERGE = 'merge';
+var RESOLUTION_OVERWRITE = 'overwrite';
+var RESOLUTION_SKIP = 'skip';
+
+var STATUS_COPIED = 'copied';
+var STATUS_MERGED = 'merged';
+var STATUS_OVERWRITTEN = 'overwritten';
+var STATUS_SKIPPED = 'skipped';
+
+var UPDATE_COMPARE_HASH = 'hash';
+
+var CONFLICT_ERROR = 'error';
+var CONFLICT_SKIP = 'skip';
+var CONFLICT_OVERWRITE = 'overwrite';
+var CONFLICT_OVERWRITE_IF_NEWER = 'overwrite-if-newer';
+var CONFLICT_OVERWRITE_IF_DIFFERENT = 'overwrite-if-different';
+var CONFLICT_RENAME = 'rename';
+var CONFLICT_BACKUP = 'backup';
+
+var BACKUP_SUFFIX = '~';
+var BACKUP_NUMBERED = 'numbered';
+
+var PRESERVE_MODE = 'mode';
+var PRESERVE_TIMESTAMPS = 'timestamps';
+var PRESERVE_OWNERSHIP = 'ownership';
+var PRESERVE_XATTRS = 'xattrs';
+var PRESERVE_ALL = [PRESERVE_MODE, PRESERVE_TIMESTAMPS, PRESERVE_OWNERSHIP, PRESERVE_XATTRS];
+var PRESERVE_DEFAULT = [PRESERVE_MODE, PRESERVE_TIMESTAMPS];
+
+var HARDLINKS_PRESERVE = 'preserve';
+var HARDLINKS_CREATE = 'create';
+
+var SYMLINKS_PRESERVE = 'preserve';
+var SYMLINKS_RELATIVE = 'relative';
+var SYMLINKS_REBASE = 'rebase';
+var SYMLINKS_DEREFERENCE_EXTERNAL = 'dereference-external';
+var SYMLINKS_SKIP = 'skip';
+var SYMLINKS_MODES = [SYMLINKS_PRESERVE, SYMLINKS_RELATIVE, SYMLINKS_REBASE, SYMLINKS_DEREFERENCE_EXTERNAL, SYMLINKS_SKIP];
+
+var SYMLINK_STATUS_PRESERVED = 'preserved';
+var SYMLINK_STATUS_REWRITTEN = 'rewritten';
+var SYMLINK_STATUS_DEREFERENCED = 'dereferenced';
+var SYMLINK_STATUS_SKIPPED = 'skipped';
+
+var SYMLINK_CYCLES_ERROR = 'error';
+var SYMLINK_CYCLES_SKIP = 'skip';
+
+var SPECIAL_FILES_ERROR = 'error';
+var SPECIAL_FILES_SKIP = 'skip';
+var SPECIAL_FILES_RECREATE = 'recreate';
+var SPECIAL_FILES_MODES = [SPECIAL_FILES_ERROR, SPECIAL_FILES_SKIP, SPECIAL_FILES_RECREATE];
+
+var SPECIAL_FILE_FIFO = 'fifo';
+var SPECIAL_FILE_SOCKET = 'socket';
+var SPECIAL_FILE_BLOCK_DEVICE = 'block-device';
+var SPECIAL_FILE_CHARACTER_DEVICE = 'character-device';
+
+var MODE_MASK = parseInt('7777', 8);
+var DEFAULT_FILE_MODE = parseInt('666', 8);
+
+var SKIP_SUBTREE = 'skipSubtree';
+
+var REFLINK_FORCE = 'force';
+var MAX_NATIVE_COPY_SIZE = 8 * 1024 * 1024;
+
+var SPARSE_ALWAYS = 'always';
+
+var VERIFY_SIZE = 'size';
+var DEFAULT_BLOCK_SIZE = 4096;
+
+var COLLISION_ERROR = 'error';
+var COLLISION_FIRST = 'first';
+var COLLISION_LAST = 'last';
+
+var DEFAULT_PROGRESS_INTERVAL = 100;
 
 var mkdir = pify(mkdirp, Promise);
 var stat = pify(fs.stat, Promise);
 var lstat = pify(fs.lstat, Promise);
 var readlink = pify(fs.readlink, Promise);
 var symlink = pify(fs.symlink, Promise);
+var link = pify(fs.link, Promise);
+var rename = pify(fs.rename, Promise);
+var utimes = pify(fs.utimes, Promise);
+var lutimes = (fs.lutimes ? pify(fs.lutimes, Promise) : null);
+var chmod = pify(fs.chmod, Promise);
+var chown = pify(fs.chown, Promise);
+var lchown = pify(fs.lchown, Promise);
 var readdir = pify(fs.readdir, Promise);
+var readFile = pify(fs.readFile, Promise);
+var open = pify(fs.open, Promise);
+var writeBuffer = pify(fs.write, Promise);
+var ftruncate = pify(fs.ftruncate, Promise);
+var close = pify(fs.close, Promise);
 var remove = pify(rimraf, Promise);
+var execFile = pify(childProcess.execFile, Promise);
 
 module.exports = function(src, dest, options, callback) {
 	if ((arguments.length === 3) && (typeof options === 'function')) {
@@ -43,47 +166,226 @@ module.exports = function(src, dest, options, callback) {
 	options = options || {};
 
 	var parentDirectory = path.dirname(dest);
-	var shouldExpandSymlinks = Boolean(options.expand);
+	var isDryRun = Boolean(options.dryRun);
+	var isTransaction = Boolean(options.transaction) && !isDryRun;
+	// Mirroring needs to know which destination paths correspond to source paths
+	var retainedPaths = (options.mirror ? {} : null);
+	// Renamed destination paths must not clash with the destination paths of
+	// other copy operations, which may not have been written yet
+	var plannedPaths = {};
+	var reservedPaths = {};
 
 	var emitter;
 	var hasFinished = false;
+	var failures = [];
+	var isAborted = false;
+	var abortListeners = [];
+	var context = {
+		hasFinished: function() { return hasFinished; },
+		isAborted: function() { return isAborted; },
+		onAbort: function(listener) {
+			abortListeners.push(listener);
+			return function() {
+				abortListeners = abortListeners.filter(function(existingListener) {
+					return existingListener !== listener;
+				});
+			};
+		},
+		emitEvent: function() { emitter.emit.apply(emitter, arguments); },
+		addFailure: function(error, data) {
+			if (options.debug) { log('Failed to copy ' + data.src); }
+			failures.push({
+				src: data.src,
+				dest: data.dest,
+				error: error
+			});
+			// Emitting an unhandled error event would throw the error
+			if (emitter.listeners(EVENT_ERROR).length > 0) {
+				context.emitEvent(EVENT_ERROR, error, data);
+			}
+		},
+		retainPath: function(destPath) {
+			if (retainedPaths) { addPathWithAncestors(retainedPaths, destPath, dest); }
+		},
+		planPath: function(destPath) {
+			plannedPaths[destPath] = true;
+		},
+		reservePath: function(destPath) {
+			if (plannedPaths[destPath] || reservedPaths[destPath]) { return false; }
+			reservedPaths[destPath] = true;
+			return true;
+		},
+		isReservedPath: function(destPath) {
+			return Boolean(reservedPaths[destPath]);
+		},
+		getBackupPath: function(destPath) {
+			return getBackupPath(destPath, dest, options.backup);
+		}
+	};
+	context.progress = createProgressTracker(context, options.progressInterval);
+	context.preserve = null;
+	context.symlinks = null;
+	context.hardlinks = (options.hardlinks === HARDLINKS_PRESERVE ? createHardlinkTracker() : null);
+	// Directory metadata is applied once the directory contents have been written
+	context.directories = [];
+	context.transaction = (isTransaction ? createTransaction(dest, context) : null);
+	var signal = options.signal;
+	if (signal) {
+		if (signal.aborted) {
+			isAborted = true;
+		} else {
+			signal.addEventListener('abort', abort);
+		}
+	}
 	if (options.debug) { log('Ensuring output directory exists…'); }
-	var promise = ensureDirectoryExists(parentDirectory)
+	var promise = (isDryRun || isAborted ? Promise.resolve() : ensureDirectoryExists(parentDirectory))
 		.then(function() {
-			if (options.debug) { log('Fetching source paths…'); }
-			return getFilePaths(src, shouldExpandSymlinks)
+			throwIfAborted(context);
+			context.preserve = getPreserveOptions(options.preserve);
+			if (context.preserve.xattrs && !xattr) {
+				throw new Error('Preserving extended attributes requires the fs-xattr package to be installed');
+			}
+			if (options.symlinks && (SYMLINKS_MODES.indexOf(options.symlinks) === -1)) {
+				throw new Error('Invalid symlinks mode: ' + options.symlinks);
+			}
+			if (options.specialFiles && (SPECIAL_FILES_MODES.indexOf(options.specialFiles) === -1)) {
+				throw new Error('Invalid specialFiles mode: ' + options.specialFiles);
+			}
+			if (options.verify && !isVerifyAlgorithm(options.verify)) {
+				throw new Error('Invalid verify algorithm: ' + options.verify);
+			}
+			if (options.symlinkCycles && (options.symlinkCycles !== SYMLINK_CYCLES_ERROR) && (options.symlinkCycles !== SYMLINK_CYCLES_SKIP)) {
+				throw new Error('Invalid symlink cycle strategy: ' + options.symlinkCycles);
+			}
+			if (options.debug) { log(isDryRun ? 'Planning copy operations…' : 'Copying files…'); }
+			return getSources(src, options);
 		})
-		.then(function(filePaths) {
-			if (options.debug) { log('Filtering source paths…'); }
-			var relativePaths = filePaths.map(function(filePath) {
-				return path.relative(src, filePath);
-			});
-			var filteredPaths = getFilteredPaths(relativePaths, options.filter, {
-				dot: options.dot,
-				junk: options.junk
-			});
-			return filteredPaths.map(function(relativePath) {
-				var inputPath = relativePath;
-				var outputPath = options.rename ? options.rename(inputPath) : inputPath;
-				return {
-					src: path.join(src, inputPath),
-					dest: path.join(dest, outputPath)
+		.then(function(sources) {
+			throwIfAborted(context);
+			var isDestinationReplaced = false;
+			context.symlinks = createSymlinkResolver(options.symlinks || SYMLINKS_PRESERVE, sources.map(function(source) {
+				return path.resolve(source.root);
+			}), Boolean(options.expand));
+			// Destination paths can only collide if they are renamed or copied
+			// from multiple sources, in which case all the source paths must be
+			// listed before any copying starts
+			var shouldDetectCollisions = Boolean(options.rename) || (sources.length > 1);
+			var operations = onIteratorDone(createConcatIterator(sources.map(function(source) {
+				return function() {
+					return createSourceIterator(source, dest, options, context, function(fileEntry) {
+						var inputPath = path.relative(source.base, fileEntry.path);
+						return Promise.resolve(options.rename ? options.rename(inputPath, fileEntry.stats) : inputPath)
+							.then(function(outputPath) {
+								var operation = {
+									src: path.join(source.base, inputPath),
+									dest: path.join(dest, outputPath),
+									stats: fileEntry.stats
+								};
+								if (!shouldDetectCollisions) { addOperation(operation); }
+								return operation;
+							});
+					});
 				};
-			})
-		})
-		.then(function(operations) {
-			if (options.debug) { log('Copying files…'); }
-			var hasFinishedGetter = function() { return hasFinished; };
-			var emitEvent = function() { emitter.emit.apply(emitter, arguments); };
-			return batch(operations, function(operation) {
-				return copy(operation.src, operation.dest, hasFinishedGetter, emitEvent, options);
-			}, {
-				results: options.results !== false,
-				concurrency: options.concurrency || 255
+			})), function() {
+				context.progress.seal();
 			});
+			if (shouldDetectCollisions) {
+				operations = readIteratorValues(operations)
+					.then(function(operations) {
+						return resolveCollisions(operations, options.collision || COLLISION_ERROR);
+					})
+					.then(function(operations) {
+						throwIfAborted(context);
+						operations.forEach(addOperation);
+						return operations;
+					});
+			}
+			return Promise.resolve(operations)
+				.then(function(operations) {
+					return batch(operations, copyOperation, {
+						results: options.results !== false,
+						concurrency: options.concurrency || 255,
+						isCancelled: context.isAborted
+					});
+				})
+				.then(function(results) {
+					context.progress.end();
+					if (!results || (failures.length === 0)) { return results; }
+					return results.filter(function(result) {
+						return result !== null;
+					});
+				})
+				.then(function(results) {
+					if (!isTransaction) { return results; }
+					if (failures.length > 0) { throw createAggregateError(failures, results); }
+					throwIfAborted(context);
+					if (options.debug) { log('Committing staged files…'); }
+					return context.transaction.commit()
+						.then(function() {
+							return results;
+						});
+				})
+				.then(function(results) {
+					// Mirroring only applies when copying into a destination directory
+					if (!options.mirror || isDestinationReplaced) { return results; }
+					throwIfAborted(context);
+					if (options.debug) { log(isDryRun ? 'Planning removal of orphaned destination paths…' : 'Removing orphaned destination paths…'); }
+					return mirror(dest, retainedPaths, context, options)
+						.then(function(removals) {
+							return (results && isDryRun ? results.concat(removals) : results);
+						});
+				})
+				.then(function(results) {
+					if (isDryRun || (context.directories.length === 0)) { return results; }
+					throwIfAborted(context);
+					if (options.debug) { log('Applying directory metadata…'); }
+					return applyDirectoryMetadata(context.directories, context.preserve)
+						.then(function() {
+							return results;
+						});
+				})
+				.then(function(results) {
+					if (failures.length > 0) { throw createAggregateError(failures, results); }
+					return results;
+				});
+
+
+			function addOperation(operation) {
+				context.progress.add(operation.stats);
+				if (context.hardlinks) { context.hardlinks.add(operation.src, operation.stats); }
+				context.retainPath(operation.dest);
+				context.planPath(operation.dest);
+				if (!path.relative(dest, operation.dest) && !operation.stats.isDirectory()) { isDestinationReplaced = true; }
+			}
+
+			function copyOperation(operation) {
+				var result = copy(operation.src, operation.dest, context, options);
+				if (!options.continueOnError) { return result; }
+				return result.catch(function(error) {
+					if (!(error instanceof CopyError) || context.isAborted()) { throw error; }
+					context.addFailure(error.error, error.data);
+					return null;
+				});
+			}
+		})
+		.then(function(results) {
+			if (!isTransaction) { return results; }
+			return context.transaction.dispose()
+				.then(function() {
+					return results;
+				});
+		}, function(error) {
+			if (!isTransaction) { throw error; }
+			if (options.debug) { log('Rolling back transaction…'); }
+			return context.transaction.rollback()
+				.then(function() {
+					throw error;
+				}, function() {
+					throw error;
+				});
 		})
 		.catch(function(error) {
-			if (options.debug) { log('Copy failed'); }
+			if (options.debug) { log(error instanceof AbortError ? 'Copy aborted' : 'Copy failed'); }
 			if (error instanceof CopyError) {
 				emitter.emit(EVENT_ERROR, error.error, error.data);
 				throw error.error;
@@ -98,10 +400,12 @@ module.exports = function(src, dest, options, callback) {
 		})
 		.then(function(results) {
 			hasFinished = true;
+			if (signal) { signal.removeEventListener('abort', abort); }
 			return results;
 		})
 		.catch(function(error) {
 			hasFinished = true;
+			if (signal) { signal.removeEventListener('abort', abort); }
 			throw error;
 		});
 
@@ -117,17 +421,51 @@ module.exports = function(src, dest, options, callback) {
 		emitter = withEventEmitter(promise);
 	}
 
+	emitter.abort = abort;
+
 	return emitter;
+
+
+	function abort() {
+		if (hasFinished || isAborted) { return; }
+		if (options.debug) { log('Aborting copy…'); }
+		isAborted = true;
+		abortListeners.forEach(function(listener) {
+			listener();
+		});
+	}
 };
 
 function batch(inputs, iteratee, options) {
+	var iterator = (Array.isArray(inputs) ? createArrayIterator(inputs) : inputs);
 	var results = options.results ? [] : undefined;
-	if (inputs.length === 0) { return Promise.resolve(results); }
+	var isCancelled = options.isCancelled || function() { return false; };
 	return new Promise(function(resolve, reject) {
-		var currentIndex = -1;
 		var activeWorkers = 0;
-		while (currentIndex < Math.min(inputs.length, options.concurrency) - 1) {
-			startWorker(inputs[++currentIndex]);
+		var isFetching = false;
+		var isExhausted = false;
+		var hasFailed = false;
+		fetchNextInput();
+
+		function fetchNextInput() {
+			if (hasFailed || isFetching || isExhausted || (activeWorkers >= options.concurrency)) { return; }
+			isFetching = true;
+			iterator.next().then(function(item) {
+				isFetching = false;
+				if (hasFailed) { return; }
+				if (isCancelled()) {
+					if (activeWorkers === 0) { fail(createAbortError()); }
+				} else if (item.done) {
+					isExhausted = true;
+					if (activeWorkers === 0) { resolve(results); }
+				} else {
+					startWorker(item.value);
+					fetchNextInput();
+				}
+			}, function(error) {
+				isFetching = false;
+				fail(error);
+			});
 		}
 
 		function startWorker(input) {
@@ -135,37 +473,569 @@ function batch(inputs, iteratee, options) {
 			iteratee(input).then(function(result) {
 				--activeWorkers;
 				if (results) { results.push(result); }
-				if (currentIndex < inputs.length - 1) {
-					startWorker(inputs[++currentIndex]);
+				if (isCancelled()) {
+					if ((activeWorkers === 0) && !isFetching) { fail(createAbortError()); }
+				} else if (!isExhausted) {
+					fetchNextInput();
 				} else if (activeWorkers === 0) {
 					resolve(results);
 				}
-			}).catch(reject);
+			}, function(error) {
+				--activeWorkers;
+				// Once cancelled, wait for any in-flight operations to settle
+				// before rejecting, so that they are able to clean up
+				if (!isCancelled()) {
+					fail(error);
+				} else if ((activeWorkers === 0) && !isFetching) {
+					fail(createAbortError());
+				}
+			});
+		}
+
+		function fail(error) {
+			if (hasFailed) { return; }
+			hasFailed = true;
+			reject(error);
 		}
 	});
 }
 
-function getFilePaths(src, shouldExpandSymlinks) {
-	return (shouldExpandSymlinks ? stat : lstat)(src)
-		.then(function(stats) {
-			if (stats.isDirectory()) {
-				return getFileListing(src, shouldExpandSymlinks)
-					.then(function(filenames) {
-						return [src].concat(filenames);
-					});
+function createArrayIterator(values) {
+	var currentIndex = -1;
+	return {
+		next: function() {
+			if (currentIndex >= values.length - 1) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			return Promise.resolve({ value: values[++currentIndex], done: false });
+		}
+	};
+}
+
+function onIteratorDone(iterator, callback) {
+	return {
+		next: function() {
+			return iterator.next()
+				.then(function(item) {
+					if (item.done) { callback(); }
+					return item;
+				});
+		}
+	};
+}
+
+function createConcatIterator(iteratorFactories) {
+	// Iterators are created lazily, once the preceding iterator is exhausted
+	var currentIterator = null;
+	return {
+		next: next
+	};
+
+
+	function next() {
+		if (!currentIterator) {
+			if (iteratorFactories.length === 0) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			currentIterator = iteratorFactories.shift()();
+		}
+		return currentIterator.next()
+			.then(function(item) {
+				if (!item.done) { return item; }
+				currentIterator = null;
+				return next();
+			});
+	}
+}
+
+function createFileIterator(src, options) {
+	var shouldExpandSymlinks = Boolean(options.expand);
+	var getStats = options.stat || (shouldExpandSymlinks ? stat : lstat);
+	var concurrency = options.concurrency;
+	var filterEntry = options.filter || function(fileEntry) { return { isIncluded: true, shouldDescend: true }; };
+	var mapEntry = options.map || function(fileEntry) { return fileEntry; };
+	var handleCycle = options.cycle || function(fileEntry, ancestorPath) { throw createSymlinkCycleError(fileEntry.path, ancestorPath); };
+	var handleError = options.error || function(error, filePath) { throw error; };
+	var pendingEntries = [];
+	// Directory listings are processed one entry at a time, so that the number
+	// of simultaneous stat calls is limited even within a single large directory
+	var pendingListings = [createListing(null, [src], [])];
+	var pendingDirectories = [];
+	var pendingRequests = [];
+	var activeReads = 0;
+	var numBufferedEntries = 0;
+	var traversalError = null;
+	var iterator = {
+		next: function() {
+			return new Promise(function(resolve, reject) {
+				pendingRequests.push({
+					resolve: resolve,
+					reject: reject
+				});
+				update();
+			});
+		}
+	};
+	if ((typeof global.Symbol === 'function') && global.Symbol.asyncIterator) {
+		iterator[global.Symbol.asyncIterator] = function() { return iterator; };
+	}
+	update();
+	return iterator;
+
+
+	function update() {
+		while ((pendingRequests.length > 0) && (pendingEntries.length > 0)) {
+			pendingRequests.shift().resolve({ value: pendingEntries.shift(), done: false });
+		}
+		if (traversalError) {
+			pendingRequests.splice(0).forEach(function(request) {
+				request.reject(traversalError);
+			});
+			return;
+		}
+		var isComplete = (activeReads === 0) && (pendingListings.length === 0) && (pendingDirectories.length === 0) && (pendingEntries.length === 0);
+		if (isComplete) {
+			pendingRequests.splice(0).forEach(function(request) {
+				request.resolve({ value: undefined, done: true });
+			});
+			return;
+		}
+		// Limit the number of entries that are buffered ahead of being consumed,
+		// so that memory usage does not grow with the size of the source tree
+		// (entries of directories that have already been listed take priority
+		// over listing further directories)
+		while (pendingEntries.length + numBufferedEntries + activeReads < concurrency) {
+			if (pendingListings.length > 0) {
+				readNextEntry(pendingListings[0]);
+			} else if (pendingDirectories.length > 0) {
+				readDirectory(pendingDirectories.pop());
 			} else {
-				return [src];
+				break;
+			}
+		}
+	}
+
+	function createListing(directoryPath, filenames, ancestors) {
+		return {
+			path: directoryPath,
+			filenames: filenames,
+			ancestors: ancestors,
+			nextIndex: 0,
+			numReleased: 0,
+			results: {},
+			directories: []
+		};
+	}
+
+	function readDirectory(directory) {
+		trackRead(readdir(directory.path)
+			.then(function(filenames) {
+				if (filenames.length === 0) { return; }
+				pendingListings.push(createListing(directory.path, filenames, directory.ancestors));
+			}, function(error) {
+				handleError(error, directory.path);
+			})
+		);
+	}
+
+	function readNextEntry(listing) {
+		var index = listing.nextIndex++;
+		if (listing.nextIndex === listing.filenames.length) { pendingListings.shift(); }
+		var filename = listing.filenames[index];
+		var filePath = (listing.path === null ? filename : path.join(listing.path, filename));
+		trackRead(getStats(filePath)
+			.then(function(stats) {
+				var fileEntry = {
+					path: filePath,
+					stats: stats
+				};
+				// Expanded symlinks can point to one of their ancestor directories,
+				// which would otherwise be traversed indefinitely
+				var ancestor = getCyclicAncestor(fileEntry, listing.ancestors);
+				if (ancestor) {
+					handleCycle(fileEntry, ancestor.path);
+					return { fileEntry: null, directory: null };
+				}
+				return Promise.resolve(filterEntry(fileEntry))
+					.then(function(filterResult) {
+						// Filtered-out directories are only traversed if their
+						// descendants could still be included (the contents of
+						// the root directory are always traversed)
+						var isRootPath = fileEntry.path === src;
+						var shouldDescend = isRootPath || filterResult.shouldDescend;
+						var directory = (stats.isDirectory() && shouldDescend ? {
+							path: fileEntry.path,
+							ancestors: listing.ancestors.concat({
+								path: fileEntry.path,
+								key: getInodeKey(stats)
+							})
+						} : null);
+						return {
+							fileEntry: (filterResult.isIncluded ? fileEntry : null),
+							directory: directory
+						};
+					});
+			}, function(error) {
+				// Errors reading the root path are always fatal
+				if (listing.path === null) { throw error; }
+				handleError(error, filePath);
+				return { fileEntry: null, directory: null };
+			})
+			.then(function(result) {
+				listing.results[index] = result;
+				++numBufferedEntries;
+				releaseEntries(listing);
+			})
+		);
+	}
+
+	function releaseEntries(listing) {
+		// Entries are mapped in listing order, regardless of the order in which they were read
+		while (listing.results.hasOwnProperty(listing.numReleased)) {
+			var result = listing.results[listing.numReleased];
+			delete listing.results[listing.numReleased];
+			listing.numReleased++;
+			--numBufferedEntries;
+			if (result.fileEntry) { mapNextEntry(result.fileEntry); }
+			if (result.directory) { listing.directories.push(result.directory); }
+		}
+		if (listing.numReleased < listing.filenames.length) { return; }
+		// Subdirectories are read depth-first, in listing order, once
+		// all the entries of their parent directory have been processed
+		pendingDirectories = pendingDirectories.concat(listing.directories.reverse());
+	}
+
+	function mapNextEntry(fileEntry) {
+		trackRead(Promise.resolve(mapEntry(fileEntry))
+			.then(function(mappedEntry) {
+				pendingEntries.push(mappedEntry);
+			})
+		);
+	}
+
+	function trackRead(promise) {
+		++activeReads;
+		promise
+			.catch(function(error) {
+				traversalError = traversalError || error;
+			})
+			.then(function() {
+				--activeReads;
+				update();
+			});
+	}
+}
+
+function getCyclicAncestor(fileEntry, ancestors) {
+	// Filesystems that do not report inode numbers cannot be checked for cycles
+	if (!fileEntry.stats.isDirectory() || !fileEntry.stats.ino) { return null; }
+	var key = getInodeKey(fileEntry.stats);
+	return ancestors.filter(function(ancestor) {
+		return ancestor.key === key;
+	})[0] || null;
+}
+
+function forEachIteratorValue(iterator, iteratee) {
+	return new Promise(function(resolve, reject) {
+		readNextValue();
+
+		function readNextValue() {
+			iterator.next()
+				.then(function(item) {
+					if (item.done) { return resolve(); }
+					iteratee(item.value);
+					readNextValue();
+				})
+				.catch(reject);
+		}
+	});
+}
+
+function readIteratorValues(iterator) {
+	var values = [];
+	return forEachIteratorValue(iterator, function(value) {
+		values.push(value);
+	})
+		.then(function() {
+			return values;
+		});
+}
+
+function resolveCollisions(operations, strategy) {
+	var operationsByDestination = operations.reduce(function(operationsByDestination, operation) {
+		var existingOperations = operationsByDestination[operation.dest] || (operationsByDestination[operation.dest] = []);
+		existingOperations.push(operation);
+		return operationsByDestination;
+	}, {});
+	// Directories that share a destination path are merged rather than colliding
+	var collisions = Object.keys(operationsByDestination).map(function(destPath) {
+		return operationsByDestination[destPath];
+	}).filter(function(collidingOperations) {
+		return (collidingOperations.length > 1) && collidingOperations.some(function(operation) {
+			return !operation.stats.isDirectory();
+		});
+	});
+	if (collisions.length === 0) { return operations; }
+	if ((strategy !== COLLISION_FIRST) && (strategy !== COLLISION_LAST)) { throw createCollisionError(collisions); }
+	var discardedOperations = collisions.reduce(function(discardedOperations, collidingOperations) {
+		var retainedOperation = (strategy === COLLISION_FIRST ? collidingOperations[0] : collidingOperations[collidingOperations.length - 1]);
+		return discardedOperations.concat(collidingOperations.filter(function(operation) {
+			return operation !== retainedOperation;
+		}));
+	}, []);
+	return operations.filter(function(operation) {
+		return discardedOperations.indexOf(operation) === -1;
+	});
+}
+
+function getSources(src, options) {
+	return Promise.all([].concat(src).map(isGlobSource))
+		.then(function(globSources) {
+			// A single source path is copied to the destination path itself,
+			// whereas multiple sources are copied into the destination directory
+			var isSingleSource = (typeof src === 'string') && !globSources[0];
+			if (isSingleSource) {
+				return [
+					{
+						root: src,
+						base: (options.base ? options.base : src),
+						pattern: null,
+						glob: null
+					}
+				];
 			}
+			return [].concat(src).map(function(source, index) {
+				if (globSources[index]) { return getGlobSource(source, options); }
+				return {
+					root: source,
+					base: (options.base ? options.base : path.dirname(source)),
+					pattern: null,
+					glob: null
+				};
+			});
+		});
+}
+
+function isGlobSource(source) {
+	if (!hasGlobMagic(source)) { return Promise.resolve(false); }
+	// Existing paths that happen to contain glob characters are copied as-is
+	return lstat(source)
+		.then(function() {
+			return false;
+		}, function(error) {
+			return true;
 		});
 }
 
-function getFilteredPaths(paths, filter, options) {
+function getGlobSource(source, options) {
+	// Glob sources are matched against the paths within the
+	// deepest directory that does not contain any glob characters
+	var patternSegments = slash(source).split('/');
+	var globIndex = 0;
+	while ((globIndex < patternSegments.length - 1) && !hasGlobMagic(patternSegments[globIndex])) { globIndex++; }
+	var globParent = patternSegments.slice(0, globIndex).join('/') || '.';
+	return {
+		root: globParent,
+		base: (options.base ? options.base : globParent),
+		pattern: new minimatch.Minimatch(patternSegments.slice(globIndex).join('/'), { dot: options.dot }),
+		glob: source
+	};
+}
+
+function hasGlobMagic(pattern) {
+	var matcher = new minimatch.Minimatch(pattern);
+	return (matcher.set.length > 1) || matcher.set.some(function(patternParts) {
+		return patternParts.some(function(patternPart) {
+			return typeof patternPart !== 'string';
+		});
+	});
+}
+
+function createSourceIterator(source, dest, options, context, mapEntry) {
+	// Destinations inside the source tree are populated while the source tree
+	// is being traversed, so they would otherwise be copied into themselves
+	var destPath = path.resolve(dest);
+	var rootPath = path.resolve(source.root);
+	var isDestinationInsideSource = (destPath !== rootPath) && isPathInside(destPath, rootPath);
+	var pathFilter = createPathFilter(options.filter, {
+		dot: options.dot,
+		junk: options.junk,
+		ignoreRules: (options.ignoreFiles ? createIgnoreRules(source.root, [].concat(options.ignoreFiles)) : null)
+	});
+	var hasGlobMatches = false;
+	var iterator = createFileIterator(source.root, {
+		expand: options.expand,
+		stat: context.symlinks.stat,
+		cycle: function(fileEntry, ancestorPath) {
+			if (options.symlinkCycles !== SYMLINK_CYCLES_SKIP) { throw createSymlinkCycleError(fileEntry.path, ancestorPath); }
+			context.emitEvent(EVENT_SYMLINK_CYCLE, {
+				src: fileEntry.path,
+				target: ancestorPath,
+				stats: fileEntry.stats
+			});
+		},
+		concurrency: options.concurrency || 255,
+		error: (options.continueOnError ? function(error, filePath) {
+			// Paths that cannot be read are skipped along with their descendants
+			if (context.isAborted()) { throw error; }
+			context.addFailure(error, {
+				src: filePath,
+				dest: path.join(dest, path.relative(source.base, filePath))
+			});
+		} : null),
+		filter: function(fileEntry) {
+			if (isDestinationInsideSource && isPathInside(path.resolve(fileEntry.path), destPath)) {
+				return Promise.resolve({ isIncluded: false, shouldDescend: false });
+			}
+			return pathFilter(path.relative(source.base, fileEntry.path), fileEntry.stats, fileEntry.path)
+				.then(function(result) {
+					if (!source.pattern) { return result; }
+					var globPath = slash(path.relative(source.root, fileEntry.path));
+					var isGlobMatch = source.pattern.match(globPath);
+					if (isGlobMatch) { hasGlobMatches = true; }
+					return {
+						isIncluded: result.isIncluded && isGlobMatch,
+						shouldDescend: result.shouldDescend && source.pattern.match(globPath, true)
+					};
+				});
+		},
+		map: mapEntry
+	});
+	if (!source.pattern) { return iterator; }
+	// Glob sources that do not match any paths fail in the same way as missing source paths
+	return onIteratorDone(iterator, function() {
+		if (!hasGlobMatches) { throw createGlobMatchError(source.glob); }
+	});
+}
+
+function createPathFilter(filter, options) {
 	var useDotFilter = !options.dot;
 	var useJunkFilter = !options.junk;
-	if (!filter && !useDotFilter && !useJunkFilter) { return paths; }
-	return paths.filter(function(path) {
-		return (!useDotFilter || dotFilter(path)) && (!useJunkFilter || junkFilter(path)) && (!filter || (maximatch(slash(path), filter, options).length > 0));
+	var ignoreRules = options.ignoreRules;
+	var patterns = (filter ? [].concat(filter) : []).map(function(pattern) {
+		return createFilterPattern(pattern, { dot: options.dot });
 	});
+	return function(relativePath, stats, srcPath) {
+		var result = {
+			isIncluded: patterns.length === 0,
+			shouldDescend: patterns.length === 0
+		};
+		var normalizedPath = slash(relativePath);
+		// Patterns are applied in order, with later patterns able to override
+		// the results of earlier patterns (matching the maximatch semantics)
+		return patterns.reduce(function(previous, pattern) {
+			return previous.then(function() {
+				return pattern(result, normalizedPath, stats, srcPath);
+			});
+		}, Promise.resolve())
+			.then(function() {
+				var shouldCheckIgnoreRules = Boolean(ignoreRules) && (result.isIncluded || result.shouldDescend);
+				return (shouldCheckIgnoreRules ? ignoreRules.isIgnored(srcPath, stats) : false);
+			})
+			.then(function(isIgnored) {
+				result.isIncluded = result.isIncluded && !isIgnored && (!useDotFilter || dotFilter(relativePath)) && (!useJunkFilter || junkFilter(relativePath));
+				// Ignored directories are never traversed, so their contents
+				// cannot be re-included by negated ignore rules
+				result.shouldDescend = result.shouldDescend && !isIgnored;
+				return result;
+			});
+	};
+}
+
+function createFilterPattern(pattern, options) {
+	if (typeof pattern === 'function') {
+		// Filter functions can return a promise
+		return function(result, filePath, stats, srcPath) {
+			return Promise.resolve(pattern(filePath, stats, srcPath))
+				.then(function(value) {
+					var shouldSkipSubtree = value === SKIP_SUBTREE;
+					result.isIncluded = result.isIncluded || (!shouldSkipSubtree && Boolean(value));
+					result.shouldDescend = result.shouldDescend || !shouldSkipSubtree;
+				});
+		};
+	} else if (pattern instanceof RegExp) {
+		return function(result, filePath) {
+			result.isIncluded = result.isIncluded || pattern.test(filePath);
+			result.shouldDescend = true;
+		};
+	} else if (pattern.charAt(0) === '!') {
+		var exclude = new minimatch.Minimatch(pattern.slice(1), options);
+		// Negated patterns ending in a globstar exclude every descendant of the
+		// paths that match the rest of the pattern
+		var subtreeSuffix = ['/**', '/**/*'].filter(function(suffix) {
+			return pattern.slice(-suffix.length) === suffix;
+		})[0];
+		var excludeSubtree = (subtreeSuffix ? new minimatch.Minimatch(pattern.slice(1, -subtreeSuffix.length), options) : null);
+		return function(result, filePath) {
+			if (exclude.match(filePath)) { result.isIncluded = false; }
+			if (excludeSubtree && excludeSubtree.match(filePath)) { result.shouldDescend = false; }
+		};
+	} else {
+		var include = new minimatch.Minimatch(pattern, options);
+		return function(result, filePath) {
+			result.isIncluded = result.isIncluded || include.match(filePath);
+			// Partial matching determines whether any descendants could match
+			result.shouldDescend = result.shouldDescend || include.match(filePath, true);
+		};
+	}
+}
+
+function createIgnoreRules(src, ignoreFiles) {
+	var rulesLookup = {};
+	return {
+		isIgnored: function(filePath, stats) {
+			var relativePath = path.relative(src, filePath);
+			if (!relativePath) { return Promise.resolve(false); }
+			var pathSegments = relativePath.split(path.sep);
+			var directoryPaths = pathSegments.slice(0, -1).reduce(function(directoryPaths, pathSegment) {
+				var parentPath = directoryPaths[directoryPaths.length - 1];
+				return directoryPaths.concat(path.join(parentPath, pathSegment));
+			}, ['']);
+			return Promise.all(directoryPaths.map(loadDirectoryRules))
+				.then(function(directoryRules) {
+					// Rules in nested ignore files take precedence over the rules in
+					// their ancestor directories
+					for (var i = directoryRules.length - 1; i >= 0; i--) {
+						if (!directoryRules[i]) { continue; }
+						var rulePath = pathSegments.slice(i).join('/') + (stats.isDirectory() ? '/' : '');
+						var result = directoryRules[i].test(rulePath);
+						if (result.ignored) { return true; }
+						if (result.unignored) { return false; }
+					}
+					return false;
+				});
+		}
+	};
+
+
+	function loadDirectoryRules(directoryPath) {
+		if (!rulesLookup[directoryPath]) {
+			rulesLookup[directoryPath] = readIgnoreFiles(path.join(src, directoryPath), ignoreFiles);
+		}
+		return rulesLookup[directoryPath];
+	}
+}
+
+function readIgnoreFiles(directoryPath, ignoreFiles) {
+	return Promise.all(
+		ignoreFiles.map(function(filename) {
+			return readFile(path.join(directoryPath, filename), 'utf8')
+				.catch(function(error) {
+					var shouldIgnoreError = (error.code === 'ENOENT') || (error.code === 'EISDIR');
+					if (shouldIgnoreError) { return null; }
+					throw error;
+				});
+		})
+	)
+		.then(function(contents) {
+			var rules = contents.filter(function(content) {
+				return content !== null;
+			});
+			if (rules.length === 0) { return null; }
+			return rules.reduce(function(rules, content) {
+				return rules.add(content);
+			}, ignore());
+		});
 }
 
 function dotFilter(relativePath) {
@@ -182,38 +1052,44 @@ function ensureDirectoryExists(path) {
 	return mkdir(path);
 }
 
-function getFileListing(srcPath, shouldExpandSymlinks) {
-	return readdir(srcPath)
-		.then(function(filenames) {
-			return Promise.all(
-				filenames.map(function(filename) {
-					var filePath = path.join(srcPath, filename);
-					return (shouldExpandSymlinks ? stat : lstat)(filePath)
-						.then(function(stats) {
-							if (stats.isDirectory()) {
-								return getFileListing(filePath, shouldExpandSymlinks)
-									.then(function(childPaths) {
-										return [filePath].concat(childPaths);
-									});
-							} else {
-								return [filePath];
-							}
-						});
-				})
-			)
-			.then(function mergeArrays(arrays) {
-				return Array.prototype.concat.apply([], arrays);
-			});
-		});
-}
-
-function copy(srcPath, destPath, hasFinished, emitEvent, options) {
+function copy(srcPath, destPath, context, options) {
 	if (options.debug) { log('Preparing to copy ' + srcPath + '…'); }
-	return prepareForCopy(srcPath, destPath, options)
-		.then(function(stats) {
-			if (options.debug) { log('Copying ' + srcPath + '…'); }
-			var copyFunction = getCopyFunction(stats, hasFinished, emitEvent);
-			return copyFunction(srcPath, destPath, stats, options);
+	return prepareForCopy(srcPath, destPath, options, context)
+		.then(function(preparation) {
+			var resolution = preparation.resolution;
+			// Conflicts can be resolved by copying to a different destination path,
+			// or by moving the existing destination file to a backup path
+			if (resolution.dest !== destPath) { context.retainPath(resolution.dest); }
+			if (resolution.backup) { context.retainPath(resolution.backup); }
+			return getHardlinkSource(srcPath, preparation.stats, resolution, options, context)
+				.then(function(hardlinkSource) {
+					if (hardlinkSource) {
+						resolution.hardlink = hardlinkSource.dest;
+						resolution.hardlinkPath = hardlinkSource.path;
+					}
+					if (options.dryRun) {
+						return getPlannedOperation(srcPath, preparation.stats, resolution);
+					}
+					if (resolution.type === RESOLUTION_SKIP) {
+						if (options.debug) { log('Skipping file ' + srcPath + '…'); }
+						return skipCopy(srcPath, preparation.stats, resolution, context);
+					}
+					if (options.debug) { log((hardlinkSource ? 'Linking ' : 'Copying ') + srcPath + '…'); }
+					var copyFunction = getCopyFunction(preparation.stats, resolution, context);
+					return copyFunction(srcPath, resolution.dest, preparation.stats, options)
+						.then(function(result) {
+							if (context.transaction) { context.transaction.stage(resolution.dest, preparation.stats, result.status, resolution.backup); }
+							return result;
+						});
+				});
+		})
+		.then(function(result) {
+			// Any files that are hard links to this file can now link to the copied file
+			if (context.hardlinks) { context.hardlinks.release(srcPath, getHardlinkTarget(result, options, context)); }
+			return result;
+		}, function(error) {
+			if (context.hardlinks) { context.hardlinks.release(srcPath, null); }
+			throw error;
 		})
 		.catch(function(error) {
 			if (error instanceof CopyError) {
@@ -233,19 +1109,65 @@ function copy(srcPath, destPath, hasFinished, emitEvent, options) {
 		});
 }
 
-function prepareForCopy(srcPath, destPath, options) {
-	var shouldExpandSymlinks = Boolean(options.expand);
-	var shouldOverwriteExistingFiles = Boolean(options.overwrite);
-	return (shouldExpandSymlinks ? stat : lstat)(srcPath)
-		.then(function(stats) {
-			return ensureDestinationIsWritable(destPath, stats, shouldOverwriteExistingFiles)
+function prepareForCopy(srcPath, destPath, options, context) {
+	var isDryRun = Boolean(options.dryRun);
+	return context.symlinks.resolve(srcPath, destPath)
+		.then(function(entry) {
+			return getResolution(entry.stats, entry.symlink)
+				.then(function(resolution) {
+					resolution.symlink = entry.symlink;
+					return {
+						stats: entry.stats,
+						resolution: resolution
+					};
+				});
+		});
+
+
+	function getResolution(stats, symlink) {
+		// Special files are rejected before the destination path is modified
+		var specialFileType = getSpecialFileType(stats);
+		var specialFiles = options.specialFiles || SPECIAL_FILES_ERROR;
+		if (specialFileType && (specialFiles === SPECIAL_FILES_ERROR)) { return Promise.reject(createSpecialFileError(srcPath, specialFileType)); }
+		// Skipped paths are reported without touching the destination path.
+		// Sockets only exist while they are bound, so cannot be recreated
+		var isSkippedSymlink = Boolean(symlink) && (symlink.status === SYMLINK_STATUS_SKIPPED);
+		var isSkippedSpecialFile = Boolean(specialFileType) && ((specialFiles === SPECIAL_FILES_SKIP) || (specialFileType === SPECIAL_FILE_SOCKET));
+		if (isSkippedSymlink || isSkippedSpecialFile) { return Promise.resolve(createResolution(RESOLUTION_SKIP, destPath)); }
+		// Transactions leave existing destination paths intact until the
+		// staged files are committed
+		var shouldPreserveDestination = isDryRun || Boolean(options.transaction);
+		return (shouldPreserveDestination ? getDestinationResolution : ensureDestinationIsWritable)(srcPath, destPath, stats, options, context);
+	}
+}
+
+function ensureDestinationIsWritable(srcPath, destPath, srcStats, options, context) {
+	return getDestinationResolution(srcPath, destPath, srcStats, options, context)
+		.then(function(resolution) {
+			if (resolution.type !== RESOLUTION_OVERWRITE) { return resolution; }
+			if (resolution.backup) {
+				return createBackup(destPath, resolution.backup, context, function() {
+					return movePath(destPath, resolution.backup);
+				})
+					.then(function() {
+						return resolution;
+					});
+			}
+			return (options.atomic && srcStats.isFile() ? lstat(destPath) : Promise.resolve(null))
+				.then(function(destStats) {
+					// Atomic file copies replace existing files when they are moved
+					// into place, so the existing file is left intact until then
+					var isReplacePossible = Boolean(destStats) && !destStats.isDirectory();
+					if (isReplacePossible) { return; }
+					return remove(destPath);
+				})
 				.then(function() {
-					return stats;
+					return resolution;
 				});
 		});
 }
 
-function ensureDestinationIsWritable(destPath, srcStats, shouldOverwriteExistingFiles) {
+function getDestinationResolution(srcPath, destPath, srcStats, options, context) {
 	return lstat(destPath)
 		.catch(function(error) {
 			var shouldIgnoreError = error.code === 'ENOENT';
@@ -254,37 +1176,359 @@ function ensureDestinationIsWritable(destPath, srcStats, shouldOverwriteExisting
 		})
 		.then(function(destStats) {
 			var destExists = Boolean(destStats);
-			if (!destExists) { return true; }
+			if (!destExists) { return createResolution(RESOLUTION_CREATE, destPath); }
 
 			var isMergePossible = srcStats.isDirectory() && destStats.isDirectory();
-			if (isMergePossible) { return true; }
+			if (isMergePossible) { return createResolution(RESOLUTION_MERGE, destPath); }
 
-			if (shouldOverwriteExistingFiles) {
-				return remove(destPath)
-					.then(function(paths) {
-						return true;
-					});
-			} else {
-				throw fsError('EEXIST', destPath);
-			}
+			return (options.conflict ? getConflictResolution : getDefaultConflictResolution)(srcPath, srcStats, destPath, destStats, options, context)
+				.then(function(resolution) {
+					// Overwritten paths are moved to a backup path rather than
+					// being removed if backups are enabled
+					var shouldBackup = (resolution.type === RESOLUTION_OVERWRITE) && (Boolean(options.backup) || (resolution.conflict === CONFLICT_BACKUP));
+					if (!shouldBackup) { return resolution; }
+					return context.getBackupPath(destPath)
+						.then(function(backupPath) {
+							resolution.backup = backupPath;
+							return resolution;
+						});
+				});
 		});
 }
 
-function getCopyFunction(stats, hasFinished, emitEvent) {
-	if (stats.isDirectory()) {
-		return createCopyFunction(copyDirectory, stats, hasFinished, emitEvent, {
-			startEvent: EVENT_CREATE_DIRECTORY_START,
-			completeEvent: EVENT_CREATE_DIRECTORY_COMPLETE,
-			errorEvent: EVENT_CREATE_DIRECTORY_ERROR
-		});
-	} else if (stats.isSymbolicLink()) {
-		return createCopyFunction(copySymlink, stats, hasFinished, emitEvent, {
-			startEvent: EVENT_CREATE_SYMLINK_START,
-			completeEvent: EVENT_CREATE_SYMLINK_COMPLETE,
-			errorEvent: EVENT_CREATE_SYMLINK_ERROR
+function getConflictResolution(srcPath, srcStats, destPath, destStats, options, context) {
+	return Promise.resolve(typeof options.conflict === 'function' ? options.conflict(srcPath, destPath, srcStats, destStats) : options.conflict)
+		.then(function(strategy) {
+			return resolveConflict(strategy, srcPath, srcStats, destPath, destStats, context)
+				.then(function(resolution) {
+					resolution.conflict = strategy;
+					return resolution;
+				});
 		});
+}
+
+function getDefaultConflictResolution(srcPath, srcStats, destPath, destStats, options, context) {
+	var isUpdatePossible = Boolean(options.update) && srcStats.isFile() && destStats.isFile();
+	if (isUpdatePossible) {
+		var shouldCompareContents = options.update === UPDATE_COMPARE_HASH;
+		return isDestinationUnchanged(srcPath, srcStats, destPath, destStats, shouldCompareContents)
+			.then(function(isUnchanged) {
+				return createResolution(isUnchanged ? RESOLUTION_SKIP : RESOLUTION_OVERWRITE, destPath);
+			});
+	}
+	return resolveConflict(options.overwrite ? CONFLICT_OVERWRITE : CONFLICT_ERROR, srcPath, srcStats, destPath, destStats, context);
+}
+
+function resolveConflict(strategy, srcPath, srcStats, destPath, destStats, context) {
+	// Directories cannot be skipped or renamed, as their contents
+	// have already been mapped to the original destination path
+	var isDirectoryConflict = srcStats.isDirectory() && (strategy !== CONFLICT_OVERWRITE) && (strategy !== CONFLICT_BACKUP);
+	if (isDirectoryConflict) { strategy = CONFLICT_ERROR; }
+	switch (strategy) {
+		case CONFLICT_ERROR:
+			return Promise.reject(fsError('EEXIST', destPath));
+		case CONFLICT_SKIP:
+			return Promise.resolve(createResolution(RESOLUTION_SKIP, destPath));
+		case CONFLICT_OVERWRITE:
+			return Promise.resolve(createResolution(RESOLUTION_OVERWRITE, destPath));
+		case CONFLICT_OVERWRITE_IF_NEWER:
+			return Promise.resolve(createResolution(isSourceNewer(srcStats, destStats) ? RESOLUTION_OVERWRITE : RESOLUTION_SKIP, destPath));
+		case CONFLICT_OVERWRITE_IF_DIFFERENT:
+			// Paths of different types are always considered to have changed
+			return (srcStats.isFile() && destStats.isFile() ? isDestinationUnchanged(srcPath, srcStats, destPath, destStats, true) : Promise.resolve(false))
+				.then(function(isUnchanged) {
+					return createResolution(isUnchanged ? RESOLUTION_SKIP : RESOLUTION_OVERWRITE, destPath);
+				});
+		case CONFLICT_RENAME:
+			return getAvailablePath(destPath, 1, context)
+				.then(function(availablePath) {
+					return createResolution(RESOLUTION_CREATE, availablePath);
+				});
+		case CONFLICT_BACKUP:
+			return Promise.resolve(createResolution(RESOLUTION_OVERWRITE, destPath));
+		default:
+			return Promise.reject(new Error('Invalid conflict strategy: ' + strategy));
+	}
+}
+
+function createResolution(type, destPath) {
+	return {
+		type: type,
+		dest: destPath,
+		conflict: null,
+		backup: null,
+		hardlink: null,
+		hardlinkPath: null,
+		symlink: null
+	};
+}
+
+function getAvailablePath(destPath, index, context) {
+	// Numbered paths are inserted before the file extension, e.g. "file (1).txt"
+	var extension = path.extname(destPath);
+	var candidatePath = destPath.slice(0, destPath.length - extension.length) + ' (' + index + ')' + extension;
+	return lstat(candidatePath)
+		.then(function() {
+			return getAvailablePath(destPath, index + 1, context);
+		}, function(error) {
+			if (error.code !== 'ENOENT') { throw error; }
+			// Paths that are the destination of another copy operation are
+			// unavailable even if they have not been written yet
+			if (!context.reservePath(candidatePath)) { return getAvailablePath(destPath, index + 1, context); }
+			return candidatePath;
+		});
+}
+
+function isDestinationUnchanged(srcPath, srcStats, destPath, destStats, shouldCompareContents) {
+	if (srcStats.size !== destStats.size) { return Promise.resolve(false); }
+	if (!shouldCompareContents) {
+		return Promise.resolve(getTimestampSeconds(srcStats.mtime) === getTimestampSeconds(destStats.mtime));
+	}
+	return Promise.all([getFileHash(srcPath), getFileHash(destPath)])
+		.then(function(hashes) {
+			return hashes[0] === hashes[1];
+		});
+}
+
+function createBackupPathMatcher(options) {
+	var isBackupEnabled = Boolean(options.backup) || (options.conflict === CONFLICT_BACKUP) || (typeof options.conflict === 'function');
+	if (!isBackupEnabled) { return function(destPath) { return false; }; }
+	var backupOptions = getBackupOptions(options.backup);
+	var backupDirectory = (backupOptions.directory ? path.resolve(backupOptions.directory) : null);
+	var suffix = (typeof backupOptions.suffix === 'string' ? backupOptions.suffix : (backupOptions.directory ? '' : BACKUP_SUFFIX));
+	return function(destPath) {
+		if (backupDirectory) { return isPathInside(path.resolve(destPath), backupDirectory); }
+		if (backupOptions.numbered) { return /\.~\d+~$/.test(destPath); }
+		return Boolean(suffix) && (destPath.slice(-suffix.length) === suffix);
+	};
+}
+
+function getBackupPath(destPath, dest, backup) {
+	var backupOptions = getBackupOptions(backup);
+	// Backup directories mirror the structure of the destination directory
+	var backupBasePath = (backupOptions.directory ? path.join(backupOptions.directory, path.relative(dest, destPath) || path.basename(destPath)) : destPath);
+	if (!backupOptions.numbered) {
+		var suffix = (typeof backupOptions.suffix === 'string' ? backupOptions.suffix : (backupOptions.directory ? '' : BACKUP_SUFFIX));
+		return Promise.resolve(backupBasePath + suffix);
+	}
+	// Numbered backups are never overwritten, so each new backup is
+	// numbered one higher than the highest existing backup
+	var backupDirectory = path.dirname(backupBasePath);
+	var backupFilename = path.basename(backupBasePath);
+	return readdir(backupDirectory)
+		.catch(function(error) {
+			if (error.code === 'ENOENT') { return []; }
+			throw error;
+		})
+		.then(function(filenames) {
+			var backupNumber = filenames.reduce(function(backupNumber, filename) {
+				var isBackupFilename = (filename.indexOf(backupFilename + '.~') === 0) && /^\.~\d+~$/.test(filename.slice(backupFilename.length));
+				if (!isBackupFilename) { return backupNumber; }
+				return Math.max(backupNumber, parseInt(filename.slice(backupFilename.length + '.~'.length), 10));
+			}, 0);
+			return path.join(backupDirectory, backupFilename + '.~' + (backupNumber + 1) + '~');
+		});
+}
+
+function getBackupOptions(backup) {
+	if (backup === BACKUP_NUMBERED) {
+		return { numbered: true };
+	} else if (backup && (typeof backup === 'object')) {
+		return backup;
 	} else {
-		return createCopyFunction(copyFile, stats, hasFinished, emitEvent, {
+		return {};
+	}
+}
+
+function createBackup(destPath, backupPath, context, fn) {
+	return lstat(destPath)
+		.then(function(stats) {
+			var metadata = {
+				dest: destPath,
+				backup: backupPath,
+				stats: stats
+			};
+			context.emitEvent(EVENT_BACKUP_START, metadata);
+			return fn()
+				.then(function() {
+					if (!context.hasFinished()) { context.emitEvent(EVENT_BACKUP_COMPLETE, metadata); }
+					return metadata;
+				})
+				.catch(function(error) {
+					if (!context.hasFinished()) { context.emitEvent(EVENT_BACKUP_ERROR, error, metadata); }
+					throw error;
+				});
+		});
+}
+
+function movePath(srcPath, destPath) {
+	return remove(destPath)
+		.then(function() {
+			return mkdir(path.dirname(destPath));
+		})
+		.then(function() {
+			return rename(srcPath, destPath);
+		});
+}
+
+function isSourceNewer(srcStats, destStats) {
+	return getTimestampSeconds(srcStats.mtime) > getTimestampSeconds(destStats.mtime);
+}
+
+function getTimestampSeconds(date) {
+	// Filesystems store modification times with varying precision,
+	// so timestamps are only compared to the nearest second
+	return Math.floor(date.getTime() / 1000);
+}
+
+function getFileHash(filePath) {
+	return getFileChecksum(filePath, 'sha1')
+		.then(function(checksum) {
+			return checksum.digest;
+		});
+}
+
+function getFileChecksum(filePath, algorithm) {
+	// Size checksums do not need to read the file contents
+	if (algorithm === VERIFY_SIZE) {
+		return stat(filePath)
+			.then(function(stats) {
+				return {
+					size: stats.size,
+					digest: null
+				};
+			});
+	}
+	return new Promise(function(resolve, reject) {
+		var checksum = createChecksum(algorithm);
+		fs.createReadStream(filePath)
+			.on('error', reject)
+			.on('data', function(chunk) {
+				checksum.update(chunk);
+			})
+			.on('end', function() {
+				resolve(checksum.digest());
+			});
+	});
+}
+
+function createChecksum(algorithm) {
+	// Size checksums only count the number of bytes
+	var hash = (algorithm === VERIFY_SIZE ? null : crypto.createHash(algorithm));
+	var size = 0;
+	return {
+		update: function(chunk) {
+			size += chunk.length;
+			if (hash) { hash.update(chunk); }
+		},
+		digest: function() {
+			return {
+				size: size,
+				digest: (hash ? hash.digest('hex') : null)
+			};
+		}
+	};
+}
+
+function isVerifyAlgorithm(algorithm) {
+	if (algorithm === VERIFY_SIZE) { return true; }
+	if (typeof algorithm !== 'string') { return false; }
+	try {
+		crypto.createHash(algorithm);
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+function verifyFile(filePath, destPath, expected, algorithm) {
+	return getFileChecksum(filePath, algorithm)
+		.then(function(actual) {
+			var isMatch = (actual.size === expected.size) && (actual.digest === expected.digest);
+			if (!isMatch) { throw createVerificationError(destPath, algorithm, expected, actual); }
+			return actual;
+		});
+}
+
+function getPlannedOperation(srcPath, stats, resolution) {
+	var operation = getCopyMetadata(srcPath, stats, resolution);
+	operation.action = (resolution.hardlink && (resolution.type !== RESOLUTION_SKIP) ? ACTION_CREATE_HARDLINK : getCopyAction(stats, resolution.type));
+	operation.overwrite = resolution.type === RESOLUTION_OVERWRITE;
+	return operation;
+}
+
+function getCopyMetadata(srcPath, stats, resolution) {
+	var metadata = {
+		src: srcPath,
+		dest: resolution.dest,
+		stats: stats,
+		status: getCopyStatus(resolution.type)
+	};
+	if (resolution.conflict) { metadata.conflict = resolution.conflict; }
+	if (resolution.backup) { metadata.backup = resolution.backup; }
+	if (resolution.hardlink) { metadata.hardlink = resolution.hardlink; }
+	if (resolution.symlink) { metadata.symlink = resolution.symlink; }
+	return metadata;
+}
+
+function getCopyStatus(resolution) {
+	switch (resolution) {
+		case RESOLUTION_MERGE:
+			return STATUS_MERGED;
+		case RESOLUTION_OVERWRITE:
+			return STATUS_OVERWRITTEN;
+		case RESOLUTION_SKIP:
+			return STATUS_SKIPPED;
+		default:
+			return STATUS_COPIED;
+	}
+}
+
+function getCopyAction(stats, resolution) {
+	if (resolution === RESOLUTION_SKIP) {
+		return ACTION_SKIP;
+	} else if (stats.isDirectory()) {
+		return (resolution === RESOLUTION_MERGE ? ACTION_MERGE_DIRECTORY : ACTION_CREATE_DIRECTORY);
+	} else if (stats.isSymbolicLink()) {
+		return ACTION_CREATE_SYMLINK;
+	} else if (getSpecialFileType(stats)) {
+		return ACTION_CREATE_SPECIAL_FILE;
+	} else {
+		return ACTION_COPY_FILE;
+	}
+}
+
+function getCopyFunction(stats, resolution, context) {
+	if (stats.isDirectory()) {
+		return createCopyFunction(copyDirectory, resolution, context, {
+			startEvent: EVENT_CREATE_DIRECTORY_START,
+			completeEvent: EVENT_CREATE_DIRECTORY_COMPLETE,
+			errorEvent: EVENT_CREATE_DIRECTORY_ERROR
+		});
+	} else if (stats.isSymbolicLink()) {
+		return createCopyFunction(function(srcPath, destPath, stats, options, context) {
+			return copySymlink(resolution.symlink.link, srcPath, destPath, stats, options, context);
+		}, resolution, context, {
+			startEvent: EVENT_CREATE_SYMLINK_START,
+			completeEvent: EVENT_CREATE_SYMLINK_COMPLETE,
+			errorEvent: EVENT_CREATE_SYMLINK_ERROR
+		});
+	} else if (resolution.hardlinkPath) {
+		return createCopyFunction(function(srcPath, destPath, stats, options, context) {
+			return linkFile(resolution.hardlinkPath, srcPath, destPath, stats, options, context);
+		}, resolution, context, {
+			startEvent: EVENT_COPY_FILE_START,
+			completeEvent: EVENT_COPY_FILE_COMPLETE,
+			errorEvent: EVENT_COPY_FILE_ERROR
+		});
+	} else if (getSpecialFileType(stats)) {
+		return createCopyFunction(copySpecialFile, resolution, context, {
+			startEvent: EVENT_CREATE_SPECIAL_FILE_START,
+			completeEvent: EVENT_CREATE_SPECIAL_FILE_COMPLETE,
+			errorEvent: EVENT_CREATE_SPECIAL_FILE_ERROR
+		});
+	} else {
+		return createCopyFunction(copyFile, resolution, context, {
 			startEvent: EVENT_COPY_FILE_START,
 			completeEvent: EVENT_COPY_FILE_COMPLETE,
 			errorEvent: EVENT_COPY_FILE_ERROR
@@ -292,7 +1536,7 @@ function getCopyFunction(stats, hasFinished, emitEvent) {
 	}
 }
 
-function createCopyFunction(fn, stats, hasFinished, emitEvent, events) {
+function createCopyFunction(fn, resolution, context, events) {
 	var startEvent = events.startEvent;
 	var completeEvent = events.completeEvent;
 	var errorEvent = events.errorEvent;
@@ -300,68 +1544,228 @@ function createCopyFunction(fn, stats, hasFinished, emitEvent, events) {
 		// Multiple chains of promises are fired in parallel,
 		// so when one fails we need to prevent any future
 		// copy operations
-		if (hasFinished()) { return Promise.reject(); }
-		var metadata = {
-			src: srcPath,
-			dest: destPath,
-			stats: stats
-		};
-		emitEvent(startEvent, metadata);
-		var parentDirectory = path.dirname(destPath);
+		if (context.hasFinished()) { return Promise.reject(); }
+		var metadata = getCopyMetadata(srcPath, stats, resolution);
+		context.emitEvent(startEvent, metadata);
+		var parentDirectory = path.dirname(getWritePath(destPath, context));
 		return ensureDirectoryExists(parentDirectory)
 			.then(function() {
-				return fn(srcPath, destPath, stats, options);
+				return fn(srcPath, destPath, stats, options, context);
 			})
-			.then(function() {
-				if (!hasFinished()) { emitEvent(completeEvent, metadata); }
+			.then(function(properties) {
+				// Copy functions can resolve with additional properties to include in the results
+				if (properties) {
+					Object.keys(properties).forEach(function(key) {
+						metadata[key] = properties[key];
+					});
+				}
+				if (!context.hasFinished()) { context.emitEvent(completeEvent, metadata); }
 				return metadata;
 			})
 			.catch(function(error) {
-				if (!hasFinished()) { emitEvent(errorEvent, error, metadata); }
+				if (!context.hasFinished()) { context.emitEvent(errorEvent, error, metadata); }
 				throw error;
 			});
 	};
 }
 
-function copyFile(srcPath, destPath, stats, options) {
+function skipCopy(srcPath, stats, resolution, context) {
+	if (context.hasFinished()) { return Promise.reject(); }
+	var metadata = getCopyMetadata(srcPath, stats, resolution);
+	context.emitEvent(getSpecialFileType(stats) ? EVENT_SPECIAL_FILE_SKIPPED : EVENT_COPY_FILE_SKIPPED, metadata);
+	context.progress.complete(srcPath, metadata.dest, stats);
+	return Promise.resolve(metadata);
+}
+
+function copyFile(srcPath, destPath, stats, options, context) {
+	if (context.isAborted()) { return Promise.reject(createAbortError()); }
+	// Atomic copies are written to a temporary file which is only moved
+	// into place once it has been written successfully
+	var isAtomic = Boolean(options.atomic);
+	var targetPath = getWritePath(destPath, context);
+	var writePath = (isAtomic ? getTemporaryPath(targetPath, 'tmp') : targetPath);
+	var transformStream = (options.transform ? options.transform(srcPath, destPath, stats) : null);
+	var copyFileContents = getFileContentsCopier(stats, transformStream, options);
+	var digest = null;
+	return copyFileContents(srcPath, destPath, writePath, stats, transformStream, options, context)
+		.then(function(checksum) {
+			if (!options.verify) { return; }
+			// Streamed copies are checksummed as they are written, whereas
+			// native copies require the source file to be read separately.
+			// Files are verified before being moved into place
+			return (checksum ? Promise.resolve(checksum) : getFileChecksum(srcPath, options.verify))
+				.then(function(expected) {
+					return verifyFile(writePath, destPath, expected, options.verify);
+				})
+				.then(function(actual) {
+					digest = actual.digest;
+				});
+		})
+		.then(function() {
+			return applyFileMetadata(srcPath, writePath, stats, context.preserve)
+				.catch(function(error) {
+					// Metadata errors are only ignored for non-atomic copies
+					// when the preserved attributes were not set explicitly
+					if (isAtomic || context.preserve.isExplicit) { throw error; }
+				});
+		})
+		.then(function() {
+			if (isAtomic) { return moveIntoPlace(writePath, targetPath, context.isReservedPath(destPath)); }
+		})
+		.then(function() {
+			context.progress.complete(srcPath, destPath, stats);
+			return (digest ? { digest: digest } : null);
+		})
+		.catch(function(error) {
+			var shouldRemovePartialFile = isAtomic || (error instanceof AbortError);
+			if (!shouldRemovePartialFile) { throw error; }
+			return remove(writePath)
+				.then(function() {
+					throw error;
+				}, function() {
+					throw error;
+				});
+		});
+}
+
+function getFileContentsCopier(stats, transformStream, options) {
+	// Untransformed files can be copied natively, allowing the filesystem
+	// to clone the file contents where supported. Native copies write every
+	// zero byte of sparse files unless the file contents are cloned
+	var canCopyNatively = !transformStream && (typeof fs.copyFile === 'function') && (!isSparseCopy(stats, options) || (options.reflink === REFLINK_FORCE));
+	if (!canCopyNatively) { return copyFileContentsViaStreams; }
+	// Native copies cannot report their progress or be aborted part-way
+	// through, so large files are only copied natively if they can be cloned
+	if ((stats.size > MAX_NATIVE_COPY_SIZE) && (options.reflink !== REFLINK_FORCE)) { return copyFileContentsViaClone; }
+	return copyFileContentsNatively;
+}
+
+function copyFileContentsViaClone(srcPath, destPath, writePath, stats, transformStream, options, context) {
+	var cloneMode = (fs.constants || {}).COPYFILE_FICLONE_FORCE;
+	if ((options.reflink === false) || !cloneMode) {
+		return copyFileContentsViaStreams(srcPath, destPath, writePath, stats, transformStream, options, context);
+	}
+	return copyFileNatively(srcPath, destPath, writePath, stats, cloneMode | getExclusiveCopyFileMode(destPath, options, context), context)
+		.catch(function(error) {
+			if (error instanceof AbortError) { throw error; }
+			// Files that cannot be cloned are copied via streams instead
+			return copyFileContentsViaStreams(srcPath, destPath, writePath, stats, transformStream, options, context);
+		});
+}
+
+function copyFileContentsNatively(srcPath, destPath, writePath, stats, transformStream, options, context) {
+	return copyFileNatively(srcPath, destPath, writePath, stats, getCopyFileMode(options.reflink) | getExclusiveCopyFileMode(destPath, options, context), context);
+}
+
+function copyFileNatively(srcPath, destPath, writePath, stats, copyMode, context) {
+	return new Promise(function(resolve, reject) {
+		fs.copyFile(srcPath, writePath, copyMode, function(error) {
+			if (error) { return reject(error); }
+			resolve();
+		});
+	})
+		.then(function() {
+			// Native copies always copy the file mode, so the default
+			// file mode is restored if the mode is not being preserved
+			if (!context.preserve.mode) { return chmod(writePath, DEFAULT_FILE_MODE & ~process.umask()); }
+		})
+		.then(function() {
+			// Native copies cannot be interrupted, so cancellation is
+			// handled once the copy has completed
+			throwIfAborted(context);
+			if (stats.size > 0) { context.progress.update(srcPath, destPath, stats, stats.size); }
+		});
+}
+
+function isExclusiveWrite(destPath, options, context) {
+	// Reserved paths are created exclusively, so that a clash with another
+	// copy operation fails rather than overwriting the other file (atomic
+	// copies are written to a temporary path, so are moved exclusively instead)
+	return !options.atomic && context.isReservedPath(destPath);
+}
+
+function getExclusiveCopyFileMode(destPath, options, context) {
+	return (isExclusiveWrite(destPath, options, context) ? ((fs.constants || {}).COPYFILE_EXCL || 0) : 0);
+}
+
+function moveIntoPlace(writePath, targetPath, isExclusive) {
+	if (!isExclusive) { return rename(writePath, targetPath); }
+	// Linking fails if the target path exists, whereas renaming replaces it
+	return link(writePath, targetPath)
+		.then(function() {
+			return remove(writePath);
+		});
+}
+
+function getCopyFileMode(reflink) {
+	var constants = fs.constants || {};
+	if (reflink === false) { return 0; }
+	if (reflink === REFLINK_FORCE) { return constants.COPYFILE_FICLONE_FORCE || 0; }
+	return constants.COPYFILE_FICLONE || 0;
+}
+
+function copyFileContentsViaStreams(srcPath, destPath, writePath, stats, transformStream, options, context) {
 	return new Promise(function(resolve, reject) {
 		var hasFinished = false;
+		var removeAbortListener = context.onAbort(function() {
+			handleCopyFailed(createAbortError());
+		});
 
 		var read = fs.createReadStream(srcPath);
 		read.on('error', handleCopyFailed);
-
-		var write = fs.createWriteStream(destPath, {
-			flags: 'w',
-			mode: stats.mode
+		read.on('data', function(chunk) {
+			context.progress.update(srcPath, destPath, stats, chunk.length);
 		});
-		write.on('error', handleCopyFailed);
-		write.on('finish', function() {
-			fs.utimes(destPath, stats.atime, stats.mtime, function() {
-				hasFinished = true;
-				resolve();
+
+		// Verification checksums are calculated from the data that is written
+		var checksum = (options.verify ? createChecksum(options.verify) : null);
+		if (checksum) {
+			(transformStream || read).on('data', function(chunk) {
+				checksum.update(chunk);
 			});
-		});
+		}
 
-		var transformStream = null;
-		if (options.transform) {
-			transformStream = options.transform(srcPath, destPath, stats);
-			if (transformStream) {
-				transformStream.on('error', handleCopyFailed);
-				read.pipe(transformStream).pipe(write);
-			} else {
-				read.pipe(write);
-			}
+		var mode = (context.preserve.mode ? stats.mode : DEFAULT_FILE_MODE);
+		var isSparse = isSparseCopy(stats, options);
+		var flags = (isExclusiveWrite(destPath, options, context) ? 'wx' : 'w');
+		var write = (isSparse ? createSparseWriteStream(writePath, flags, mode, stats.blksize || DEFAULT_BLOCK_SIZE) : fs.createWriteStream(writePath, {
+			flags: flags,
+			mode: mode
+		}));
+		write.on('error', handleCopyFailed);
+		// Sparse files are only complete once they have been extended to their full size
+		write.on(isSparse ? 'close' : 'finish', handleCopyCompleted);
+
+		if (transformStream) {
+			transformStream.on('error', handleCopyFailed);
+			read.pipe(transformStream).pipe(write);
 		} else {
 			read.pipe(write);
 		}
 
 
+		function handleCopyCompleted() {
+			if (hasFinished) { return; }
+			hasFinished = true;
+			removeAbortListener();
+			resolve(checksum ? checksum.digest() : null);
+		}
+
 		function handleCopyFailed(error) {
 			if (hasFinished) { return; }
 			hasFinished = true;
+			removeAbortListener();
 			if (typeof read.close === 'function') {
 				read.close();
 			}
+			var shouldRemovePartialFile = Boolean(options.atomic) || (error instanceof AbortError);
+			if (shouldRemovePartialFile) {
+				// Wait for the write stream to close so that the partially-written file can be removed
+				return closeStream(write)
+					.then(function() {
+						reject(error);
+					});
+			}
 			if (typeof write.close === 'function') {
 				write.close();
 			}
@@ -370,20 +1774,857 @@ function copyFile(srcPath, destPath, stats, options) {
 	});
 }
 
-function copySymlink(srcPath, destPath, stats, options) {
-	return readlink(srcPath)
-		.then(function(link) {
-			return symlink(link, destPath);
+function isSparseCopy(stats, options) {
+	if (options.sparse === SPARSE_ALWAYS) { return true; }
+	// Files are sparse if they occupy fewer 512-byte blocks than their size
+	// requires (not all platforms report the number of allocated blocks)
+	return Boolean(options.sparse) && (typeof stats.blocks === 'number') && (stats.blocks * 512 < stats.size);
+}
+
+function createSparseWriteStream(filePath, flags, mode, blockSize) {
+	// Blocks that only contain zeros are skipped rather than written,
+	// leaving holes in the file which are filled in by the final truncation.
+	// The stream emits its own 'close' event once the file has been truncated
+	// and closed, so the default 'close' event emitted after 'finish' is disabled
+	var stream = new Writable({ autoDestroy: false, emitClose: false });
+	var fileDescriptor = open(filePath, flags, mode);
+	fileDescriptor.catch(function(error) {
+		stream.emit('error', error);
+	});
+	var position = 0;
+	var isClosed = false;
+	stream._write = function(chunk, encoding, callback) {
+		var chunkPosition = position;
+		position += chunk.length;
+		fileDescriptor
+			.then(function(fd) {
+				return writeDataRanges(fd, chunk, chunkPosition, getDataRanges(chunk, chunkPosition, blockSize));
+			})
+			.then(function() {
+				callback();
+			}, callback);
+	};
+	stream.on('finish', function() {
+		fileDescriptor
+			.then(function(fd) {
+				return ftruncate(fd, position);
+			})
+			.then(function() {
+				return closeFile();
+			})
+			.then(function() {
+				stream.emit('close');
+			}, function(error) {
+				stream.emit('error', error);
+			});
+	});
+	stream.close = function(callback) {
+		closeFile()
+			.then(function() {
+				if (callback) { callback(); }
+			}, function(error) {
+				if (callback) { callback(error); }
+			});
+	};
+	return stream;
+
+
+	function closeFile() {
+		if (isClosed) { return Promise.resolve(); }
+		isClosed = true;
+		return fileDescriptor
+			.then(function(fd) {
+				return close(fd);
+			});
+	}
+}
+
+function getDataRanges(chunk, chunkPosition, blockSize) {
+	// Blocks are aligned to the start of the file, with adjacent data
+	// blocks merged into a single range
+	var ranges = [];
+	var offset = 0;
+	while (offset < chunk.length) {
+		var blockEnd = Math.min(chunk.length, offset + blockSize - ((chunkPosition + offset) % blockSize));
+		if (!isZeroRange(chunk, offset, blockEnd)) {
+			var previousRange = ranges[ranges.length - 1];
+			if (previousRange && (previousRange.end === offset)) {
+				previousRange.end = blockEnd;
+			} else {
+				ranges.push({ start: offset, end: blockEnd });
+			}
+		}
+		offset = blockEnd;
+	}
+	return ranges;
+}
+
+function isZeroRange(buffer, start, end) {
+	for (var i = start; i < end; i++) {
+		if (buffer[i] !== 0) { return false; }
+	}
+	return true;
+}
+
+function writeDataRanges(fd, chunk, chunkPosition, ranges) {
+	return ranges.reduce(function(previous, range) {
+		return previous.then(function() {
+			return writeFully(fd, chunk, range.start, range.end - range.start, chunkPosition + range.start);
+		});
+	}, Promise.resolve());
+}
+
+function writeFully(fd, buffer, offset, length, position) {
+	return writeBuffer(fd, buffer, offset, length, position)
+		.then(function(bytesWritten) {
+			if (bytesWritten >= length) { return; }
+			return writeFully(fd, buffer, offset + bytesWritten, length - bytesWritten, position + bytesWritten);
+		});
+}
+
+function createProgressTracker(context, interval) {
+	interval = (typeof interval === 'number' ? interval : DEFAULT_PROGRESS_INTERVAL);
+	var filesTotal = 0;
+	var bytesTotal = 0;
+	var filesCopied = 0;
+	var bytesCopied = 0;
+	var fileBytesCopied = {};
+	var lastUpdated = null;
+	var isSealed = false;
+	var throttledProgress = null;
+	return {
+		add: function(stats) {
+			if (!isFileStats(stats)) { return; }
+			filesTotal++;
+			bytesTotal += stats.size;
+		},
+		update: function(srcPath, destPath, stats, numBytes) {
+			fileBytesCopied[srcPath] = (fileBytesCopied[srcPath] || 0) + numBytes;
+			bytesCopied += numBytes;
+			emitProgress(srcPath, destPath, stats, fileBytesCopied[srcPath], false);
+		},
+		seal: function() {
+			// No more files will be added once the source tree has been traversed
+			isSealed = true;
+		},
+		complete: function(srcPath, destPath, stats) {
+			if (!isFileStats(stats)) { return; }
+			// Skipped files are completed without being read, so account for
+			// any bytes that were not reported via progress updates
+			bytesCopied += Math.max(0, stats.size - (fileBytesCopied[srcPath] || 0));
+			delete fileBytesCopied[srcPath];
+			filesCopied++;
+			emitProgress(srcPath, destPath, stats, stats.size, isSealed && (filesCopied === filesTotal));
+		},
+		end: function() {
+			// The source tree can finish being traversed after the last file has been
+			// copied, in which case the final update is emitted once copying completes
+			if (!throttledProgress) { return; }
+			emitProgress(throttledProgress.src, throttledProgress.dest, throttledProgress.stats, throttledProgress.fileBytesCopied, true);
+		}
+	};
+
+
+	function emitProgress(srcPath, destPath, stats, fileBytes, isFinalUpdate) {
+		if (context.hasFinished()) { return; }
+		var currentTime = Date.now();
+		var isThrottled = (lastUpdated !== null) && (currentTime - lastUpdated < interval);
+		if (isThrottled && !isFinalUpdate) {
+			throttledProgress = {
+				src: srcPath,
+				dest: destPath,
+				stats: stats,
+				fileBytesCopied: fileBytes
+			};
+			return;
+		}
+		throttledProgress = null;
+		lastUpdated = currentTime;
+		context.emitEvent(EVENT_PROGRESS, {
+			src: srcPath,
+			dest: destPath,
+			fileBytesCopied: fileBytes,
+			fileBytesTotal: stats.size,
+			filesCopied: filesCopied,
+			filesTotal: filesTotal,
+			bytesCopied: bytesCopied,
+			bytesTotal: bytesTotal
 		});
+	}
+}
+
+function isFileStats(stats) {
+	return !stats.isDirectory() && !stats.isSymbolicLink();
+}
+
+function getSpecialFileType(stats) {
+	if (stats.isFIFO()) { return SPECIAL_FILE_FIFO; }
+	if (stats.isSocket()) { return SPECIAL_FILE_SOCKET; }
+	if (stats.isBlockDevice()) { return SPECIAL_FILE_BLOCK_DEVICE; }
+	if (stats.isCharacterDevice()) { return SPECIAL_FILE_CHARACTER_DEVICE; }
+	return null;
 }
 
-function copyDirectory(srcPath, destPath, stats, options) {
-	return mkdir(destPath)
+function getTemporaryPath(filePath, extension) {
+	var filename = '.' + path.basename(filePath) + '.' + crypto.randomBytes(6).toString('hex') + '.' + extension;
+	return path.join(path.dirname(filePath), filename);
+}
+
+function getWritePath(destPath, context) {
+	return (context.transaction ? context.transaction.getStagedPath(destPath) : destPath);
+}
+
+function closeStream(stream) {
+	return new Promise(function(resolve) {
+		if (typeof stream.close !== 'function') { return resolve(); }
+		stream.close(function() {
+			resolve();
+		});
+	});
+}
+
+function copySymlink(linkTarget, srcPath, destPath, stats, options, context) {
+	var writePath = getWritePath(destPath, context);
+	return symlink(linkTarget, writePath)
+		.then(function() {
+			if (!context.preserve.isExplicit) { return; }
+			return applySymlinkMetadata(writePath, stats, context.preserve);
+		});
+}
+
+function copySpecialFile(srcPath, destPath, stats, options, context) {
+	if (context.isAborted()) { return Promise.reject(createAbortError()); }
+	// Node has no API for creating special files, so they are created
+	// via the system mkfifo and mknod commands
+	var writePath = getWritePath(destPath, context);
+	var command = getSpecialFileCommand(writePath, stats);
+	return execFile(command[0], command.slice(1))
+		.then(function() {
+			return applyFileMetadata(srcPath, writePath, stats, context.preserve)
+				.catch(function(error) {
+					if (context.preserve.isExplicit) { throw error; }
+				});
+		})
+		.then(function() {
+			context.progress.complete(srcPath, destPath, stats);
+		});
+}
+
+function getSpecialFileCommand(filePath, stats) {
+	var mode = (stats.mode & MODE_MASK).toString(8);
+	switch (getSpecialFileType(stats)) {
+		case SPECIAL_FILE_FIFO:
+			return ['mkfifo', '-m', mode, filePath];
+		case SPECIAL_FILE_BLOCK_DEVICE:
+			return ['mknod', '-m', mode, filePath, 'b'].concat(getDeviceNumbers(stats.rdev));
+		default:
+			return ['mknod', '-m', mode, filePath, 'c'].concat(getDeviceNumbers(stats.rdev));
+	}
+}
+
+function getDeviceNumbers(rdev) {
+	// Device numbers are encoded differently on each platform
+	if (process.platform === 'darwin') {
+		return [String((rdev >> 24) & 0xff), String(rdev & 0xffffff)];
+	}
+	var high = Math.floor(rdev / 0x100000000);
+	var low = rdev % 0x100000000;
+	var major = ((low >>> 8) & 0xfff) | ((high & 0xfffff000) >>> 0);
+	var minor = (low & 0xff) | (((low >>> 12) | (high << 20)) & 0xffffff00);
+	return [String(major >>> 0), String(minor >>> 0)];
+}
+
+function createSymlinkResolver(mode, rootPaths, shouldExpandSymlinks) {
+	return {
+		stat: function(srcPath) {
+			// Symlinks only need to be read while listing the source paths
+			// if they might need to be dereferenced
+			var shouldReadSymlinks = !shouldExpandSymlinks && (mode === SYMLINKS_DEREFERENCE_EXTERNAL);
+			if (!shouldReadSymlinks) { return (shouldExpandSymlinks ? stat : lstat)(srcPath); }
+			return resolve(srcPath, null)
+				.then(function(entry) {
+					return entry.stats;
+				});
+		},
+		resolve: resolve
+	};
+
+
+	function resolve(srcPath, destPath) {
+		return (shouldExpandSymlinks ? stat : lstat)(srcPath)
+			.then(function(stats) {
+				if (!stats.isSymbolicLink()) { return createSymlinkEntry(stats, null); }
+				return readlink(srcPath)
+					.then(function(target) {
+						var targetPath = path.resolve(path.dirname(srcPath), target);
+						var isExternal = !rootPaths.some(function(rootPath) {
+							return isPathInside(targetPath, rootPath);
+						});
+						if (mode === SYMLINKS_SKIP) {
+							return createSymlinkEntry(stats, createSymlinkResult(target, null, SYMLINK_STATUS_SKIPPED));
+						}
+						if ((mode === SYMLINKS_DEREFERENCE_EXTERNAL) && isExternal) {
+							return stat(srcPath)
+								.then(function(targetStats) {
+									return createSymlinkEntry(targetStats, createSymlinkResult(target, null, SYMLINK_STATUS_DEREFERENCED));
+								}, function(error) {
+									// Dangling symlinks cannot be dereferenced, so are copied as-is
+									if (error.code !== 'ENOENT') { throw error; }
+									return createSymlinkEntry(stats, createSymlinkResult(target, target, SYMLINK_STATUS_PRESERVED));
+								});
+						}
+						var shouldRewriteTarget = Boolean(destPath) && ((mode === SYMLINKS_RELATIVE) || (mode === SYMLINKS_REBASE));
+						var link = (shouldRewriteTarget ? getRewrittenSymlinkTarget(target, targetPath, isExternal, srcPath, destPath, mode) : target);
+						return createSymlinkEntry(stats, createSymlinkResult(target, link, (link === target ? SYMLINK_STATUS_PRESERVED : SYMLINK_STATUS_REWRITTEN)));
+					});
+			});
+	}
+}
+
+function createSymlinkEntry(stats, symlink) {
+	return {
+		stats: stats,
+		symlink: symlink
+	};
+}
+
+function createSymlinkResult(target, link, status) {
+	return {
+		target: target,
+		link: link,
+		status: status
+	};
+}
+
+function getRewrittenSymlinkTarget(target, targetPath, isExternal, srcPath, destPath, mode) {
+	var destDirectory = path.resolve(path.dirname(destPath));
+	// External targets are left in place, so relative links are rewritten
+	// to point to the original target from their new location
+	if (isExternal) {
+		return (path.isAbsolute(target) ? target : path.relative(destDirectory, targetPath) || '.');
+	}
+	// Internal targets are mapped to the corresponding destination path
+	var relativeTarget = path.relative(path.resolve(path.dirname(srcPath)), targetPath) || '.';
+	return (mode === SYMLINKS_REBASE ? path.resolve(destDirectory, relativeTarget) : relativeTarget);
+}
+
+function isPathInside(childPath, parentPath) {
+	var relativePath = path.relative(parentPath, childPath);
+	return !path.isAbsolute(relativePath) && (relativePath !== '..') && (relativePath.indexOf('..' + path.sep) !== 0);
+}
+
+function copyDirectory(srcPath, destPath, stats, options, context) {
+	return mkdir(getWritePath(destPath, context))
 		.catch(function(error) {
 			var shouldIgnoreError = error.code === 'EEXIST';
 			if (shouldIgnoreError) { return; }
 			throw error;
+		})
+		.then(function() {
+			// Transactions move the directory contents into place individually,
+			// so metadata is applied to the final destination path
+			if (context.preserve.isExplicit) {
+				context.directories.push({
+					src: srcPath,
+					dest: destPath,
+					stats: stats
+				});
+			}
+		});
+}
+
+function linkFile(linkPath, srcPath, destPath, stats, options, context) {
+	if (context.isAborted()) { return Promise.reject(createAbortError()); }
+	// Hard links share their metadata with the linked file,
+	// so there is no need to apply file metadata
+	var isAtomic = Boolean(options.atomic);
+	var targetPath = getWritePath(destPath, context);
+	var writePath = (isAtomic ? getTemporaryPath(targetPath, 'tmp') : targetPath);
+	return link(linkPath, writePath)
+		.then(function() {
+			if (isAtomic) { return moveIntoPlace(writePath, targetPath, context.isReservedPath(destPath)); }
+		})
+		.then(function() {
+			if (stats.size > 0) { context.progress.update(srcPath, destPath, stats, stats.size); }
+			context.progress.complete(srcPath, destPath, stats);
+		})
+		.catch(function(error) {
+			if (!isAtomic) { throw error; }
+			return remove(writePath)
+				.then(function() {
+					throw error;
+				}, function() {
+					throw error;
+				});
+		});
+}
+
+function getHardlinkSource(srcPath, stats, resolution, options, context) {
+	var isLinkPossible = isFileStats(stats) && (resolution.type !== RESOLUTION_SKIP) && !options.transform;
+	if (!isLinkPossible) { return Promise.resolve(null); }
+	if (options.hardlinks === HARDLINKS_CREATE) {
+		return Promise.resolve({
+			dest: srcPath,
+			path: srcPath
+		});
+	}
+	if (!context.hardlinks) { return Promise.resolve(null); }
+	return context.hardlinks.get(srcPath, stats);
+}
+
+function getHardlinkTarget(result, options, context) {
+	// Hard links can only be created to files that were copied successfully
+	var isLinkPossible = Boolean(result) && isFileStats(result.stats) && (result.status !== STATUS_SKIPPED);
+	if (!isLinkPossible) { return null; }
+	return {
+		dest: result.dest,
+		path: (options.dryRun ? result.dest : getWritePath(result.dest, context))
+	};
+}
+
+function createHardlinkTracker() {
+	// The first file encountered for each inode is copied, and any other
+	// paths that share the same inode are linked to the copied file
+	var inodes = {};
+	var primaryPaths = {};
+	return {
+		add: function(srcPath, stats) {
+			if (!isFileStats(stats) || (stats.nlink < 2)) { return; }
+			var inodeKey = getInodeKey(stats);
+			if (inodes[inodeKey]) { return; }
+			var inode = {
+				src: srcPath,
+				link: null,
+				resolve: null
+			};
+			inode.link = new Promise(function(resolve) {
+				inode.resolve = resolve;
+			});
+			inodes[inodeKey] = inode;
+			primaryPaths[srcPath] = inode;
+		},
+		get: function(srcPath, stats) {
+			var inode = inodes[getInodeKey(stats)];
+			if (!inode || (inode.src === srcPath)) { return Promise.resolve(null); }
+			return inode.link;
+		},
+		release: function(srcPath, target) {
+			var inode = primaryPaths[srcPath];
+			if (inode) { inode.resolve(target); }
+		}
+	};
+}
+
+function getInodeKey(stats) {
+	return stats.dev + ':' + stats.ino;
+}
+
+function getPreserveOptions(preserve) {
+	// Unless specified explicitly, only file modes and timestamps are preserved
+	var isExplicit = (preserve !== undefined) && (preserve !== null);
+	var attributes = (!isExplicit ? PRESERVE_DEFAULT : (preserve === true ? PRESERVE_ALL : (preserve === false ? [] : [].concat(preserve))));
+	attributes.forEach(function(attribute) {
+		if (PRESERVE_ALL.indexOf(attribute) === -1) { throw new Error('Invalid preserved attribute: ' + attribute); }
+	});
+	return {
+		isExplicit: isExplicit,
+		mode: attributes.indexOf(PRESERVE_MODE) !== -1,
+		timestamps: attributes.indexOf(PRESERVE_TIMESTAMPS) !== -1,
+		ownership: attributes.indexOf(PRESERVE_OWNERSHIP) !== -1,
+		xattrs: attributes.indexOf(PRESERVE_XATTRS) !== -1
+	};
+}
+
+function applyFileMetadata(srcPath, filePath, stats, preserve) {
+	// Changing ownership can clear the setuid and setgid bits,
+	// so the file mode is applied afterwards
+	return (preserve.xattrs ? copyXattrs(srcPath, filePath) : Promise.resolve())
+		.then(function() {
+			if (preserve.ownership) { return applyOwnership(chown, filePath, stats); }
+		})
+		.then(function() {
+			if (preserve.mode && preserve.isExplicit) { return chmod(filePath, stats.mode & MODE_MASK); }
+		})
+		.then(function() {
+			if (preserve.timestamps) { return utimes(filePath, stats.atime, stats.mtime); }
+		});
+}
+
+function applySymlinkMetadata(linkPath, stats, preserve) {
+	// Symlink modes and extended attributes cannot be set portably
+	return (preserve.ownership ? applyOwnership(lchown, linkPath, stats) : Promise.resolve())
+		.then(function() {
+			if (preserve.timestamps && lutimes) { return lutimes(linkPath, stats.atime, stats.mtime); }
+		});
+}
+
+function applyDirectoryMetadata(directories, preserve) {
+	// Directories are processed deepest-first, so that restrictive parent
+	// directory modes do not prevent their children from being updated
+	var sortedDirectories = directories.slice().sort(function(a, b) {
+		return (a.dest < b.dest ? 1 : (a.dest > b.dest ? -1 : 0));
+	});
+	return sortedDirectories.reduce(function(previous, directory) {
+		return previous.then(function() {
+			return applyFileMetadata(directory.src, directory.dest, directory.stats, preserve);
+		});
+	}, Promise.resolve());
+}
+
+function applyOwnership(fn, filePath, stats) {
+	// Ownership can only be changed by privileged users
+	return fn(filePath, stats.uid, stats.gid)
+		.catch(function(error) {
+			if (error.code === 'EPERM') { return; }
+			throw error;
+		});
+}
+
+function copyXattrs(srcPath, destPath) {
+	return xattr.list(srcPath)
+		.catch(function(error) {
+			if (error.code === 'ENOTSUP') { return []; }
+			throw error;
+		})
+		.then(function(attributes) {
+			return Promise.all(attributes.map(function(attribute) {
+				return xattr.get(srcPath, attribute)
+					.then(function(value) {
+						return xattr.set(destPath, attribute, value);
+					});
+			}));
+		});
+}
+
+function requireOptional(moduleName) {
+	try {
+		return require(moduleName);
+	} catch (error) {
+		return null;
+	}
+}
+
+function mirror(dest, retainedPaths, context, options) {
+	return lstat(dest)
+		.catch(function(error) {
+			var shouldIgnoreError = error.code === 'ENOENT';
+			if (shouldIgnoreError) { return null; }
+			throw error;
+		})
+		.then(function(destStats) {
+			var isMirrorPossible = Boolean(destStats) && destStats.isDirectory();
+			if (!isMirrorPossible) { return []; }
+			return getDestinationPaths(dest, options)
+				.then(function(destPaths) {
+					var orphanedPaths = getOrphanedPaths(dest, destPaths, retainedPaths, options.protect, createBackupPathMatcher(options));
+					return batch(orphanedPaths, function(orphanedPath) {
+						return (options.dryRun ? planRemoval : removeOrphan)(orphanedPath, context, options);
+					}, {
+						results: true,
+						concurrency: options.concurrency || 255,
+						isCancelled: context.isAborted
+					});
+				});
+		});
+}
+
+function getDestinationPaths(dest, options) {
+	var destPaths = [];
+	var destEntries = createFileIterator(dest, {
+		expand: false,
+		concurrency: options.concurrency || 255
+	});
+	return forEachIteratorValue(destEntries, function(destEntry) {
+		if (destEntry.path === dest) { return; }
+		destPaths.push(destEntry.path);
+	})
+		.then(function() {
+			return destPaths;
+		});
+}
+
+function getOrphanedPaths(dest, destPaths, retainedPaths, protect, isBackupPath) {
+	var protectedPaths = protect ? getProtectedPaths(dest, destPaths, protect) : {};
+	// Backups are protected along with their contents, including any
+	// backups that were made by previous copy operations
+	destPaths.filter(isBackupPath).forEach(function(backupPath) {
+		protectedPaths[backupPath] = true;
+	});
+	Object.keys(protectedPaths).forEach(function(protectedPath) {
+		addPathWithAncestors(retainedPaths, protectedPath, dest);
+	});
+	var removedPaths = {};
+	// Paths are listed before their children, so the contents of protected
+	// directories can be protected and the contents of removed directories
+	// can be skipped as each path is encountered
+	return destPaths.filter(function(destPath) {
+		var parentPath = path.dirname(destPath);
+		if (protectedPaths[parentPath]) { protectedPaths[destPath] = true; }
+		if (protectedPaths[destPath] || retainedPaths[destPath]) { return false; }
+		var isParentRemoved = Boolean(removedPaths[parentPath]);
+		removedPaths[destPath] = true;
+		return !isParentRemoved;
+	});
+}
+
+function getProtectedPaths(dest, destPaths, protect) {
+	var relativePaths = destPaths.map(function(destPath) {
+		return slash(path.relative(dest, destPath));
+	});
+	return maximatch(relativePaths, protect, { dot: true })
+		.reduce(function(protectedPaths, relativePath) {
+			protectedPaths[path.join(dest, relativePath)] = true;
+			return protectedPaths;
+		}, {});
+}
+
+function addPathWithAncestors(paths, filePath, rootPath) {
+	var currentPath = filePath;
+	while (!paths[currentPath]) {
+		paths[currentPath] = true;
+		var parentPath = path.dirname(currentPath);
+		if ((currentPath === rootPath) || (parentPath === currentPath)) { break; }
+		currentPath = parentPath;
+	}
+	return paths;
+}
+
+function removeOrphan(destPath, context, options) {
+	if (context.hasFinished()) { return Promise.reject(); }
+	if (options.debug) { log('Removing ' + destPath + '…'); }
+	return lstat(destPath)
+		.then(function(stats) {
+			var metadata = {
+				dest: destPath,
+				stats: stats
+			};
+			context.emitEvent(EVENT_REMOVE_START, metadata);
+			// Transactions move removed paths into the backup directory
+			// so that they can be restored if the copy fails
+			return (context.transaction ? context.transaction.backup(destPath) : remove(destPath))
+				.then(function() {
+					if (!context.hasFinished()) { context.emitEvent(EVENT_REMOVE_COMPLETE, metadata); }
+					return metadata;
+				})
+				.catch(function(error) {
+					if (!context.hasFinished()) { context.emitEvent(EVENT_REMOVE_ERROR, error, metadata); }
+					throw error;
+				});
+		});
+}
+
+function planRemoval(destPath, context, options) {
+	return lstat(destPath)
+		.then(function(stats) {
+			return {
+				dest: destPath,
+				stats: stats,
+				action: ACTION_REMOVE
+			};
+		});
+}
+
+function createTransaction(dest, context) {
+	var stagingPath = getTemporaryPath(dest, 'staging');
+	var backupPath = getTemporaryPath(dest, 'backup');
+	var stagedEntries = {};
+	var journal = [];
+	return {
+		getStagedPath: getStagedPath,
+		stage: function(destPath, stats, status, destBackupPath) {
+			stagedEntries[destPath] = {
+				stats: stats,
+				status: status,
+				backupPath: destBackupPath
+			};
+		},
+		backup: backup,
+		commit: function() {
+			// Paths sort before their children, so committing them in sorted
+			// order ensures that parent directories are created first
+			return Object.keys(stagedEntries).sort().reduce(function(previous, destPath) {
+				return previous.then(function() {
+					return commitEntry(destPath, stagedEntries[destPath]);
+				});
+			}, Promise.resolve());
+		},
+		rollback: function() {
+			// Undo each committed change in reverse order, restoring any
+			// backed-up paths once the paths that replaced them are removed
+			return journal.slice().reverse().reduce(function(previous, change) {
+				return previous.then(function() {
+					if (change.backupPath) {
+						return rename(change.backupPath, change.dest);
+					}
+					return remove(change.dest);
+				});
+			}, Promise.resolve())
+				.then(dispose);
+		},
+		dispose: dispose
+	};
+
+
+	function getStagedPath(destPath) {
+		return path.join(stagingPath, path.relative(dest, destPath));
+	}
+
+	function commitEntry(destPath, stagedEntry) {
+		if (stagedEntry.status === STATUS_MERGED) { return Promise.resolve(); }
+		var isOverwrite = stagedEntry.status === STATUS_OVERWRITTEN;
+		return (isOverwrite ? backupEntry(destPath, stagedEntry.backupPath) : Promise.resolve())
+			.then(function() {
+				return createParentDirectory(path.dirname(destPath));
+			})
+			.then(function() {
+				if (stagedEntry.stats.isDirectory()) {
+					// The directory contents are committed individually
+					return mkdir(destPath);
+				}
+				return rename(getStagedPath(destPath), destPath);
+			})
+			.then(function() {
+				journal.push({
+					dest: destPath
+				});
+			});
+	}
+
+	function createParentDirectory(directoryPath) {
+		// Parent directories are not necessarily staged themselves (e.g. if
+		// they were filtered out or renamed), in which case they are created
+		// here and removed again if the transaction is rolled back
+		return lstat(directoryPath)
+			.then(function() {
+				return;
+			}, function(error) {
+				if (error.code !== 'ENOENT') { throw error; }
+				return createParentDirectory(path.dirname(directoryPath))
+					.then(function() {
+						return mkdir(directoryPath);
+					})
+					.then(function() {
+						journal.push({
+							dest: directoryPath
+						});
+					});
+			});
+	}
+
+	function backupEntry(destPath, destBackupPath) {
+		if (!destBackupPath) { return backup(destPath); }
+		return createBackup(destPath, destBackupPath, context, function() {
+			return remove(destBackupPath)
+				.then(function() {
+					return backup(destPath, destBackupPath);
+				});
 		});
+	}
+
+	function backup(destPath, destBackupPath) {
+		// Paths are moved into the transaction's backup directory unless
+		// a backup path is specified
+		destBackupPath = destBackupPath || path.join(backupPath, path.relative(dest, destPath));
+		return mkdir(path.dirname(destBackupPath))
+			.then(function() {
+				return rename(destPath, destBackupPath);
+			})
+			.then(function() {
+				journal.push({
+					dest: destPath,
+					backupPath: destBackupPath
+				});
+			});
+	}
+
+	function dispose() {
+		return Promise.all([
+			remove(stagingPath),
+			remove(backupPath)
+		]);
+	}
+}
+
+function throwIfAborted(context) {
+	if (context.isAborted()) { throw createAbortError(); }
+}
+
+function createAbortError() {
+	var error = new AbortError('The copy operation was aborted');
+	error.code = 'ABORT_ERR';
+	return error;
+}
+
+function createGlobMatchError(pattern) {
+	var error = new Error('No matches found for glob: ' + pattern);
+	error.code = 'ENOENT';
+	error.path = pattern;
+	return error;
+}
+
+function createSymlinkCycleError(srcPath, ancestorPath) {
+	var error = new SymlinkCycleError('Symbolic link cycle detected: ' + srcPath + ' -> ' + ancestorPath);
+	error.code = 'ELOOP';
+	error.path = srcPath;
+	error.target = ancestorPath;
+	return error;
+}
+
+function createVerificationError(destPath, algorithm, expected, actual) {
+	var expectedValue = (algorithm === VERIFY_SIZE ? expected.size + ' bytes' : expected.digest);
+	var actualValue = (algorithm === VERIFY_SIZE ? actual.size + ' bytes' : actual.digest);
+	var error = new VerificationError('Verification failed: ' + destPath + ' (expected ' + algorithm + ' ' + expectedValue + ', got ' + actualValue + ')');
+	error.code = 'EVERIFY';
+	error.path = destPath;
+	error.algorithm = algorithm;
+	error.expected = (algorithm === VERIFY_SIZE ? expected.size : expected.digest);
+	error.actual = (algorithm === VERIFY_SIZE ? actual.size : actual.digest);
+	return error;
+}
+
+function createSpecialFileError(srcPath, specialFileType) {
+	var error = new SpecialFileError('Cannot copy special file (' + specialFileType + '): ' + srcPath);
+	error.code = 'ESPECIALFILE';
+	error.path = srcPath;
+	error.fileType = specialFileType;
+	return error;
+}
+
+function createCollisionError(collisions) {
+	var message = 'Multiple source paths map to the same destination path: ' + collisions.map(function(collidingOperations) {
+		return collidingOperations[0].dest + ' (' + collidingOperations.map(function(operation) {
+			return operation.src;
+		}).join(', ') + ')';
+	}).join(', ');
+	var error = new CollisionError(message);
+	error.code = 'ECOLLISION';
+	error.collisions = collisions.map(function(collidingOperations) {
+		return {
+			dest: collidingOperations[0].dest,
+			sources: collidingOperations.map(function(operation) {
+				return operation.src;
+			})
+		};
+	});
+	return error;
+}
+
+function createAggregateError(failures, results) {
+	var errors = failures.map(function(failure) {
+		return failure.error;
+	});
+	var message = failures.length + ' ' + (failures.length === 1 ? 'file' : 'files') + ' failed to copy';
+	var error;
+	if (typeof global.AggregateError === 'function') {
+		error = new global.AggregateError(errors, message);
+	} else {
+		error = new Error(message);
+		error.name = 'AggregateError';
+		error.errors = errors;
+	}
+	error.failures = failures;
+	error.results = results;
+	return error;
 }
 
 function fsError(code, path) {
@@ -408,6 +2649,8 @@ function withEventEmitter(target) {
 	return target;
 }
 
+module.exports.SKIP_SUBTREE = SKIP_SUBTREE;
+
 module.exports.events = {
 	ERROR: EVENT_ERROR,
 	COMPLETE: EVENT_COMPLETE,
@@ -417,7 +2660,31 @@ module.exports.events = {
 	CREATE_SYMLINK_START: EVENT_CREATE_SYMLINK_START,
 	CREATE_SYMLINK_ERROR: EVENT_CREATE_SYMLINK_ERROR,
 	CREATE_SYMLINK_COMPLETE: EVENT_CREATE_SYMLINK_COMPLETE,
+	CREATE_SPECIAL_FILE_START: EVENT_CREATE_SPECIAL_FILE_START,
+	CREATE_SPECIAL_FILE_ERROR: EVENT_CREATE_SPECIAL_FILE_ERROR,
+	CREATE_SPECIAL_FILE_COMPLETE: EVENT_CREATE_SPECIAL_FILE_COMPLETE,
+	SPECIAL_FILE_SKIPPED: EVENT_SPECIAL_FILE_SKIPPED,
 	COPY_FILE_START: EVENT_COPY_FILE_START,
 	COPY_FILE_ERROR: EVENT_COPY_FILE_ERROR,
-	COPY_FILE_COMPLETE: EVENT_COPY_FILE_COMPLETE
+	COPY_FILE_COMPLETE: EVENT_COPY_FILE_COMPLETE,
+	COPY_FILE_SKIPPED: EVENT_COPY_FILE_SKIPPED,
+	REMOVE_START: EVENT_REMOVE_START,
+	REMOVE_ERROR: EVENT_REMOVE_ERROR,
+	REMOVE_COMPLETE: EVENT_REMOVE_COMPLETE,
+	BACKUP_START: EVENT_BACKUP_START,
+	BACKUP_ERROR: EVENT_BACKUP_ERROR,
+	BACKUP_COMPLETE: EVENT_BACKUP_COMPLETE,
+	SYMLINK_CYCLE: EVENT_SYMLINK_CYCLE,
+	PROGRESS: EVENT_PROGRESS
+};
+
+module.exports.actions = {
+	CREATE_DIRECTORY: ACTION_CREATE_DIRECTORY,
+	MERGE_DIRECTORY: ACTION_MERGE_DIRECTORY,
+	CREATE_SYMLINK: ACTION_CREATE_SYMLINK,
+	COPY_FILE: ACTION_COPY_FILE,
+	CREATE_HARDLINK: ACTION_CREATE_HARDLINK,
+	CREATE_SPECIAL_FILE: ACTION_CREATE_SPECIAL_FILE,
+	SKIP: ACTION_SKIP,
+	REMOVE: ACTION_REMOVE
 };
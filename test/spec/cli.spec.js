@@ -0,0 +1,260 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+var chai = require('chai');
+var expect = chai.expect;
+var rimraf = require('rimraf');
+
+var cli = require('../../lib/cli');
+
+var BIN_PATH = path.resolve(__dirname, '../../bin/recursive-copy');
+var SOURCE_PATH = path.resolve(__dirname, '../fixtures/source');
+var DESTINATION_PATH = path.resolve(__dirname, '../fixtures/destination');
+
+describe('cli', function() {
+	beforeEach(function(done) {
+		fs.mkdir(DESTINATION_PATH, function(error) {
+			if (error) {
+				rimraf(path.join(DESTINATION_PATH, '**/*'), done);
+			} else {
+				done();
+			}
+		});
+	});
+
+	afterEach(function(done) {
+		return rimraf(DESTINATION_PATH, done);
+	});
+
+	function getSourcePath(filename) {
+		return path.join(SOURCE_PATH, filename);
+	}
+
+	function getDestinationPath(filename) {
+		if (!filename) { return DESTINATION_PATH; }
+		return path.join(DESTINATION_PATH, filename);
+	}
+
+	function createOutputStream() {
+		var output = [];
+		return {
+			write: function(chunk) {
+				output.push(chunk);
+			},
+			toString: function() {
+				return output.join('');
+			}
+		};
+	}
+
+	function run(args) {
+		var stdout = createOutputStream();
+		var stderr = createOutputStream();
+		return cli(args, { stdout: stdout, stderr: stderr, cwd: SOURCE_PATH })
+			.then(function(exitCode) {
+				return {
+					exitCode: exitCode,
+					stdout: stdout.toString(),
+					stderr: stderr.toString()
+				};
+			});
+	}
+
+	describe('argument parsing', function() {
+		it('should parse boolean, list and value flags', function() {
+			var actual, expected;
+			actual = cli.parseArgs(['src', '--overwrite', '--no-dot', '--filter', 'a', '--filter=b', '--concurrency', '4', 'dest']);
+			expected = {
+				flags: {
+					overwrite: true,
+					dot: false,
+					filter: ['a', 'b'],
+					concurrency: '4'
+				},
+				positionals: ['src', 'dest']
+			};
+			expect(actual).to.eql(expected);
+		});
+
+		it('should treat arguments after -- as positionals', function() {
+			var actual, expected;
+			actual = cli.parseArgs(['--', '--overwrite', 'dest']);
+			expected = {
+				flags: {},
+				positionals: ['--overwrite', 'dest']
+			};
+			expect(actual).to.eql(expected);
+		});
+
+		it('should parse boolean flags with values', function() {
+			var actual, expected;
+			actual = cli.parseArgs(['--update=hash']);
+			expected = {
+				flags: {
+					update: 'hash'
+				},
+				positionals: []
+			};
+			expect(actual).to.eql(expected);
+
+			expect(function() {
+				cli.parseArgs(['--overwrite=hash']);
+			}).to.throw('Invalid value for --overwrite: hash');
+		});
+
+		it('should throw an error on unknown flags', function() {
+			expect(function() {
+				cli.parseArgs(['--nonexistent']);
+			}).to.throw('Unknown option: --nonexistent');
+		});
+
+		it('should throw an error on missing flag values', function() {
+			expect(function() {
+				cli.parseArgs(['--concurrency']);
+			}).to.throw('Option --concurrency requires a value');
+		});
+	});
+
+	describe('copying', function() {
+		it('should copy files', function() {
+			return run(['directory', getDestinationPath()])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(result.stdout).to.contain('Copied to ' + getDestinationPath('a') + '\n');
+					expect(result.stdout).to.contain('3 file(s) copied\n');
+					expect(fs.readFileSync(getDestinationPath('a'), 'utf8')).to.equal('a\n');
+				});
+		});
+
+		it('should map flags to copy options', function() {
+			return run(['dotfiles', getDestinationPath(), '--dot', '--filter', '.*', '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(result.stdout).to.equal('');
+					expect(fs.readdirSync(getDestinationPath()).sort()).to.eql(['.a', '.b']);
+				});
+		});
+
+		it('should load rename functions from modules', function() {
+			var modulePath = getDestinationPath('rename.js');
+			fs.writeFileSync(modulePath, 'module.exports = function(path) { return path.toUpperCase(); };\n');
+			return run(['directory', getDestinationPath('output'), '--rename', modulePath, '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(fs.readdirSync(getDestinationPath('output')).sort()).to.eql(['A', 'B', 'C']);
+				});
+		});
+
+		it('should log planned operations without copying if --dry-run is specified', function() {
+			fs.writeFileSync(getDestinationPath('a'), '');
+			return run(['directory', getDestinationPath(), '--dry-run', '--overwrite'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(result.stdout).to.contain('mergeDirectory: ' + getSourcePath('directory') + ' -> ' + getDestinationPath() + '\n');
+					expect(result.stdout).to.contain('copyFile (overwrite): ' + getSourcePath('directory/a') + ' -> ' + getDestinationPath('a') + '\n');
+					expect(result.stdout).to.contain('copyFile: ' + getSourcePath('directory/b') + ' -> ' + getDestinationPath('b') + '\n');
+					expect(fs.readdirSync(getDestinationPath())).to.eql(['a']);
+				});
+		});
+
+		it('should remove orphaned destination files if --mirror is specified', function() {
+			fs.writeFileSync(getDestinationPath('d'), '');
+			fs.writeFileSync(getDestinationPath('e'), '');
+			return run(['directory', getDestinationPath(), '--mirror', '--protect', 'e', '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(fs.readdirSync(getDestinationPath()).sort()).to.eql(['a', 'b', 'c', 'e']);
+				});
+		});
+
+		it('should exclude files matched by --ignore-file rules', function() {
+			fs.mkdirSync(getDestinationPath('project'));
+			fs.writeFileSync(getDestinationPath('project/.gitignore'), 'b\n');
+			fs.writeFileSync(getDestinationPath('project/a'), 'a\n');
+			fs.writeFileSync(getDestinationPath('project/b'), 'b\n');
+			return run([getDestinationPath('project'), getDestinationPath('output'), '--ignore-file', '.gitignore', '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(fs.readdirSync(getDestinationPath('output'))).to.eql(['a']);
+				});
+		});
+
+		it('should copy multiple sources relative to --base', function() {
+			return run(['file', 'directory/a', getDestinationPath(), '--base', '.', '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(0);
+					expect(fs.readdirSync(getDestinationPath()).sort()).to.eql(['directory', 'file']);
+					expect(fs.readdirSync(getDestinationPath('directory'))).to.eql(['a']);
+				});
+		});
+
+		it('should report usage errors', function() {
+			return run(['directory'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(2);
+					expect(result.stderr).to.contain('Usage: recursive-copy');
+				});
+		});
+
+		it('should reject invalid numeric flags', function() {
+			return run(['directory', getDestinationPath(), '--concurrency', 'abc'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(2);
+					expect(result.stderr).to.equal('Invalid value for --concurrency: abc\n');
+				});
+		});
+
+		it('should reject invalid choice flags', function() {
+			return run(['directory', getDestinationPath(), '--collision', 'abc'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(2);
+					expect(result.stderr).to.equal('Invalid value for --collision: abc\n');
+				});
+		});
+
+		it('should report copy errors with source and destination paths', function() {
+			fs.writeFileSync(getDestinationPath('file'), '');
+			return run(['file', getDestinationPath('file')])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(1);
+					expect(result.stderr).to.contain('Copy failed: EEXIST');
+					expect(result.stderr).to.contain('  src: ' + getSourcePath('file') + '\n');
+					expect(result.stderr).to.contain('  dest: ' + getDestinationPath('file') + '\n');
+				});
+		});
+
+		it('should report each failure if --continue-on-error is specified', function() {
+			fs.writeFileSync(getDestinationPath('a'), '');
+			fs.writeFileSync(getDestinationPath('b'), '');
+			return run(['directory', getDestinationPath(), '--continue-on-error', '--quiet'])
+				.then(function(result) {
+					expect(result.exitCode).to.equal(1);
+					expect(result.stderr).to.contain('Copy failed: 2 files failed to copy\n');
+					expect(result.stderr).to.contain('  src: ' + getSourcePath('directory/a') + '\n');
+					expect(result.stderr).to.contain('  src: ' + getSourcePath('directory/b') + '\n');
+					expect(fs.readFileSync(getDestinationPath('c'), 'utf8')).to.equal('c\n');
+				});
+		});
+	});
+
+	describe('executable', function() {
+		it('should exit with a non-zero exit code on failure', function(done) {
+			childProcess.execFile(process.execPath, [BIN_PATH, 'nonexistent', getDestinationPath()], function(error, stdout, stderr) {
+				expect(error).to.exist;
+				expect(error.code).to.equal(1);
+				expect(stderr).to.contain('Copy failed: ');
+				done();
+			});
+		});
+
+		it('should exit with a zero exit code on success', function(done) {
+			childProcess.execFile(process.execPath, [BIN_PATH, getSourcePath('file'), getDestinationPath('file')], function(error, stdout, stderr) {
+				expect(error).not.to.exist;
+				expect(stdout).to.contain('1 file(s) copied\n');
+				done();
+			});
+		});
+	});
+});
@@ -4,6 +4,8 @@ var Promise = global.Promise || require('promise');
 
 var fs = require('fs');
 var path = require('path');
+var crypto = require('crypto');
+var childProcess = require('child_process');
 var chai = require('chai');
 var expect = chai.expect;
 var chaiAsPromised = require('chai-as-promised');
@@ -134,6 +136,13 @@ describe('copy()', function() {
 		}
 	}
 
+	function omit(object, keys) {
+		return Object.keys(object).reduce(function(result, key) {
+			if (keys.indexOf(key) === -1) { result[key] = object[key]; }
+			return result;
+		}, {});
+	}
+
 	function mockMkdirp(subject, errors) {
 		return subject.__set__('mkdirp', mkdirp);
 
@@ -170,6 +179,68 @@ describe('copy()', function() {
 		}
 	}
 
+	function spyOnCopyFile(subject, calls) {
+		var originalCopyFile = subject.__get__('fs').copyFile;
+		subject.__get__('fs').copyFile = copyFile;
+		return function() {
+			subject.__get__('fs').copyFile = originalCopyFile;
+		};
+
+		function copyFile(srcPath, destPath, mode, callback) {
+			calls.push({
+				src: srcPath,
+				dest: destPath,
+				mode: mode
+			});
+			return originalCopyFile.apply(this, arguments);
+		}
+	}
+
+	function createIgnoreFilesProject(projectPath) {
+		fs.mkdirSync(projectPath);
+		fs.mkdirSync(path.join(projectPath, 'build'));
+		fs.mkdirSync(path.join(projectPath, 'lib'));
+		fs.writeFileSync(path.join(projectPath, '.gitignore'), '*.log\nbuild/\n!keep.log\n');
+		fs.writeFileSync(path.join(projectPath, 'a.log'), 'a\n');
+		fs.writeFileSync(path.join(projectPath, 'keep.log'), 'keep\n');
+		fs.writeFileSync(path.join(projectPath, 'index.js'), 'index\n');
+		fs.writeFileSync(path.join(projectPath, 'build/output.js'), 'output\n');
+		fs.writeFileSync(path.join(projectPath, 'lib/.gitignore'), '!debug.log\nsecret.js\n');
+		fs.writeFileSync(path.join(projectPath, 'lib/debug.log'), 'debug\n');
+		fs.writeFileSync(path.join(projectPath, 'lib/secret.js'), 'secret\n');
+		fs.writeFileSync(path.join(projectPath, 'lib/main.js'), 'main\n');
+	}
+
+	function createSymlinksProject(projectPath) {
+		fs.mkdirSync(projectPath);
+		fs.mkdirSync(path.join(projectPath, 'src'));
+		fs.mkdirSync(path.join(projectPath, 'external-directory'));
+		fs.writeFileSync(path.join(projectPath, 'src/file'), 'file\n');
+		fs.writeFileSync(path.join(projectPath, 'external-file'), 'external\n');
+		fs.writeFileSync(path.join(projectPath, 'external-directory/file'), 'external\n');
+		fs.symlinkSync('file', path.join(projectPath, 'src/relative-link'), 'file');
+		fs.symlinkSync(path.join(projectPath, 'src/file'), path.join(projectPath, 'src/absolute-link'), 'file');
+		fs.symlinkSync('../external-file', path.join(projectPath, 'src/external-link'), 'file');
+		fs.symlinkSync('../external-directory', path.join(projectPath, 'src/external-directory-link'), 'dir');
+	}
+
+	function createSparseFile(filePath, size, position, data) {
+		var fd = fs.openSync(filePath, 'w');
+		fs.writeSync(fd, Buffer.from(data), 0, data.length, position);
+		fs.ftruncateSync(fd, size);
+		fs.closeSync(fd);
+	}
+
+	function spyOnReaddir(subject, calls) {
+		var originalReaddir = subject.__get__('readdir');
+		return subject.__set__('readdir', readdir);
+
+		function readdir(directoryPath) {
+			calls.push(directoryPath);
+			return originalReaddir.apply(this, arguments);
+		}
+	}
+
 	describe('basic operation', function() {
 		it('should copy single files', function() {
 			return copy(
@@ -481,6 +552,261 @@ describe('copy()', function() {
 				});
 			});
 		});
+
+		it('should start copying before the source tree has been fully listed', function() {
+			var readdirCalls = [];
+			var unmockReaddir = spyOnReaddir(copy, readdirCalls);
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1
+				}
+			);
+			var numReaddirCallsAtStart = null;
+			copier.on(copy.events.COPY_FILE_START, function() {
+				if (numReaddirCallsAtStart === null) { numReaddirCallsAtStart = readdirCalls.length; }
+			});
+			return copier.then(function(results) {
+				unmockReaddir();
+				var actual, expected;
+				actual = numReaddirCallsAtStart < readdirCalls.length;
+				expected = true;
+				expect(actual).to.equal(expected);
+
+				actual = readdirCalls.length;
+				expected = 7;
+				expect(actual).to.equal(expected);
+
+				actual = results.length;
+				expected = 21;
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockReaddir();
+				throw error;
+			});
+		});
+
+		it('should limit the number of simultaneous stat calls within a directory', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			for (var i = 0; i < 50; i++) {
+				fs.writeFileSync(getDestinationPath('src/' + i), '');
+			}
+			var lstat = copy.__get__('lstat');
+			var numActiveCalls = 0;
+			var maxActiveCalls = 0;
+			var revertLstat = copy.__set__('lstat', function(filePath) {
+				numActiveCalls++;
+				maxActiveCalls = Math.max(maxActiveCalls, numActiveCalls);
+				return new Promise(function(resolve) {
+					setTimeout(resolve, 1);
+				}).then(function() {
+					numActiveCalls--;
+					return lstat(filePath);
+				});
+			});
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					concurrency: 2
+				}
+			).then(function(results) {
+				revertLstat();
+				var actual, expected;
+				actual = results.length;
+				expected = 51;
+				expect(actual).to.equal(expected);
+				// Source paths are read both while traversing and while copying
+				actual = maxActiveCalls;
+				expected = 2 * 2;
+				expect(actual).to.be.at.most(expected);
+			}, function(error) {
+				revertLstat();
+				throw error;
+			});
+		});
+
+		it('should not copy a destination directory inside the source directory into itself', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			['d0', 'd1', 'd2'].forEach(function(dirname) {
+				fs.mkdirSync(getDestinationPath('src/' + dirname));
+				fs.writeFileSync(getDestinationPath('src/' + dirname + '/f1'), dirname + '\n');
+			});
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('src/d2/zz'),
+				{
+					concurrency: 1
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.length;
+				expected = 7;
+				expect(actual).to.equal(expected);
+				actual = fs.readdirSync(getDestinationPath('src/d2/zz')).sort();
+				expected = ['d0', 'd1', 'd2'];
+				expect(actual).to.eql(expected);
+				actual = fs.readdirSync(getDestinationPath('src/d2/zz/d2')).sort();
+				expected = ['f1'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should copy multiple sources into the destination directory', function() {
+			var copier = copy(
+				[
+					getSourcePath('directory'),
+					getSourcePath('file')
+				],
+				getDestinationPath()
+			);
+			var events = listenTo(copier, [copy.events.COPY_FILE_COMPLETE]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = results.map(function(result) {
+					return slash(path.relative(getDestinationPath(), result.dest));
+				}).sort();
+				expected = ['directory', 'directory/a', 'directory/b', 'directory/c', 'file'];
+				expect(actual).to.eql(expected);
+
+				actual = events.length;
+				expected = 4;
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								a: 'a\n',
+								b: 'b\n',
+								c: 'c\n'
+							},
+							file: 'Hello, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should copy files matching glob sources', function() {
+			return copy(
+				getSourcePath('nested-directory') + '/**/*-a',
+				getDestinationPath()
+			).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(result) {
+					return slash(path.relative(getDestinationPath(), result.dest));
+				}).sort();
+				expected = ['1/1-1/1-1-a', '1/1-2/1-2-a', '1/1-a', '2/2-1/2-1-a', '2/2-2/2-2-a', '2/2-a'];
+				expect(actual).to.eql(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {
+								'1-1': {
+									'1-1-a': '1-1-a\n'
+								},
+								'1-2': {
+									'1-2-a': '1-2-a\n'
+								},
+								'1-a': '1-a\n'
+							},
+							'2': {
+								'2-1': {
+									'2-1-a': '2-1-a\n'
+								},
+								'2-2': {
+									'2-2-a': '2-2-a\n'
+								},
+								'2-a': '2-a\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should copy existing source paths that contain glob characters', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/file[1].txt'), 'Hello, world!\n');
+			fs.mkdirSync(getDestinationPath('src/report [draft]'));
+			fs.writeFileSync(getDestinationPath('src/report [draft]/a'), 'a\n');
+			return copy(
+				getDestinationPath('src/file[1].txt'),
+				getDestinationPath('output/file.txt')
+			).then(function(results) {
+				var actual, expected;
+				actual = results.length;
+				expected = 1;
+				expect(actual).to.equal(expected);
+				return copy(
+					getDestinationPath('src/report [draft]'),
+					getDestinationPath('output/report')
+				);
+			}).then(function(results) {
+				var actual, expected;
+				actual = results.length;
+				expected = 2;
+				expect(actual).to.equal(expected);
+				actual = fs.readFileSync(getDestinationPath('output/file.txt'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+				actual = fs.readFileSync(getDestinationPath('output/report/a'), 'utf8');
+				expected = 'a\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should throw an error if a glob source does not match any paths', function() {
+			return copy(
+				getSourcePath('nested-directory') + '/**/*-z',
+				getDestinationPath()
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = [error.code, error.message];
+				expected = ['ENOENT', 'No matches found for glob: ' + getSourcePath('nested-directory') + '/**/*-z'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should compute destination paths relative to the base path if specified', function() {
+			return copy(
+				[
+					getSourcePath('nested-directory/1/1-1'),
+					getSourcePath('nested-directory') + '/2/*-b'
+				],
+				getDestinationPath(),
+				{
+					base: getSourcePath('nested-directory')
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {
+								'1-1': {
+									'1-1-a': '1-1-a\n',
+									'1-1-b': '1-1-b\n'
+								}
+							},
+							'2': {
+								'2-b': '2-b\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
 	});
 
 	describe('options', function() {
@@ -725,60 +1051,2701 @@ describe('copy()', function() {
 					});
 			});
 		});
-	});
 
-	describe('output transformation', function() {
-		it('should filter output files via function', function() {
+		it('should fail on symlink cycles if expand is specified', function() {
+			fs.mkdirSync(getDestinationPath('cycle'));
+			fs.mkdirSync(getDestinationPath('cycle/directory'));
+			fs.writeFileSync(getDestinationPath('cycle/directory/file'), 'file\n');
+			fs.symlinkSync('..', getDestinationPath('cycle/directory/loop'), 'dir');
 			return copy(
-				getSourcePath('nested-directory'),
+				getDestinationPath('cycle'),
+				getDestinationPath('output'),
+				{
+					expand: true
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.code;
+				expected = 'ELOOP';
+				expect(actual).to.equal(expected);
+				actual = [error.path, error.target];
+				expected = [getDestinationPath('cycle/directory/loop'), getDestinationPath('cycle')];
+				expect(actual).to.eql(expected);
+				actual = error.message;
+				expected = 'Symbolic link cycle detected: ' + getDestinationPath('cycle/directory/loop') + ' -> ' + getDestinationPath('cycle');
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should skip symlink cycles if symlinkCycles is set to skip', function() {
+			fs.mkdirSync(getDestinationPath('cycle'));
+			fs.mkdirSync(getDestinationPath('cycle/directory'));
+			fs.writeFileSync(getDestinationPath('cycle/directory/file'), 'file\n');
+			fs.symlinkSync('..', getDestinationPath('cycle/directory/loop'), 'dir');
+			fs.symlinkSync('directory', getDestinationPath('cycle/link'), 'dir');
+			var copier = copy(
+				getDestinationPath('cycle'),
+				getDestinationPath('output'),
+				{
+					expand: true,
+					symlinkCycles: 'skip'
+				}
+			);
+			var events = listenTo(copier, [copy.events.SYMLINK_CYCLE]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = events.map(function(event) {
+					return [event.args[0].src, event.args[0].target];
+				}).sort();
+				expected = [
+					[getDestinationPath('cycle/directory/loop'), getDestinationPath('cycle')],
+					[getDestinationPath('cycle/link/loop'), getDestinationPath('cycle')]
+				];
+				expect(actual).to.eql(expected);
+				// The source directory contains a symlink cycle, so the output
+				// directory is checked without reading the whole destination tree
+				actual = ['directory', 'link'].map(function(filename) {
+					return fs.readdirSync(getDestinationPath('output/' + filename));
+				});
+				expected = [['file'], ['file']];
+				expect(actual).to.eql(expected);
+				actual = fs.readFileSync(getDestinationPath('output/link/file'), 'utf8');
+				expected = 'file\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should return planned operations without copying if dryRun is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					dryRun: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.existsSync(getDestinationPath('directory'));
+				expected = false;
+				expect(actual).to.equal(expected);
+
+				checkResults(results, {
+					'directory': 'dir',
+					'directory/a': 'file',
+					'directory/b': 'file',
+					'directory/c': 'file'
+				});
+
+				actual = results.reduce(function(actions, operation) {
+					actions[path.relative(DESTINATION_PATH, operation.dest)] = operation.action;
+					return actions;
+				}, {});
+				expected = {
+					'directory': 'createDirectory',
+					'directory/a': 'copyFile',
+					'directory/b': 'copyFile',
+					'directory/c': 'copyFile'
+				};
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should report merged and overwritten destinations if dryRun is specified', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!');
+
+			return copy(
+				getSourcePath('directory'),
 				getDestinationPath(),
 				{
-					filter: function(filePath) {
-						var filename = path.basename(filePath);
-						return (filePath === '1') || (filename.charAt(0) !== '1');
-					}
+					overwrite: true,
+					dryRun: true
 				}
 			).then(function(results) {
+				var actual, expected;
+				actual = results.reduce(function(operations, operation) {
+					operations[path.relative(DESTINATION_PATH, operation.dest)] = {
+						action: operation.action,
+						overwrite: operation.overwrite
+					};
+					return operations;
+				}, {});
+				expected = {
+					'': { action: 'mergeDirectory', overwrite: false },
+					'a': { action: 'copyFile', overwrite: true },
+					'b': { action: 'copyFile', overwrite: false },
+					'c': { action: 'copyFile', overwrite: false }
+				};
+				expect(actual).to.eql(expected);
+
 				return getOutputFiles()
 					.then(function(files) {
 						var actual, expected;
 						actual = files;
 						expected = {
-							'1': {},
-							'2': {
-								'2-1': {
-									'2-1-a': '2-1-a\n',
-									'2-1-b': '2-1-b\n'
-								},
-								'2-2': {
-									'2-2-a': '2-2-a\n',
-									'2-2-b': '2-2-b\n'
-								},
-								'2-a': '2-a\n',
-								'2-b': '2-b\n'
-							},
-							'a': 'a\n',
-							'b': 'b\n'
+							a: 'Goodbye, world!'
 						};
 						expect(actual).to.eql(expected);
 					});
 			});
 		});
 
-		it('should filter output files via regular expression', function() {
+		it('should report symlinks if dryRun is specified', function() {
 			return copy(
-				getSourcePath('nested-directory'),
-				getDestinationPath(),
+				getSourcePath('symlink'),
+				getDestinationPath('symlink'),
 				{
-					filter: /(^[^1].*$)|(^1$)/
+					dryRun: true
 				}
 			).then(function(results) {
-				return getOutputFiles()
-					.then(function(files) {
-						var actual, expected;
-						actual = files;
-						expected = {
-							'1': {},
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return operation.action;
+				});
+				expected = ['createSymlink'];
+				expect(actual).to.eql(expected);
+
+				actual = fs.existsSync(getDestinationPath('symlink'));
+				expected = false;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should throw an error if a conflicting destination exists and dryRun is specified', function() {
+			fs.writeFileSync(getDestinationPath('file'), '');
+
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					dryRun: true
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.code;
+				expected = 'EEXIST';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should not create the parent directory if dryRun is specified', function() {
+			return copy(
+				getSourcePath('nested-file/file'),
+				getDestinationPath('nested-file/file'),
+				{
+					dryRun: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.existsSync(getDestinationPath('nested-file'));
+				expected = false;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should export dry run action names and values', function() {
+			var actual, expected;
+			actual = copy.actions;
+			expected = {
+				CREATE_DIRECTORY: 'createDirectory',
+				MERGE_DIRECTORY: 'mergeDirectory',
+				CREATE_SYMLINK: 'createSymlink',
+				COPY_FILE: 'copyFile',
+				CREATE_HARDLINK: 'createHardlink',
+				CREATE_SPECIAL_FILE: 'createSpecialFile',
+				SKIP: 'skip',
+				REMOVE: 'remove'
+			};
+			expect(actual).to.eql(expected);
+		});
+
+		it('should return copy statuses in results', function() {
+			fs.mkdirSync(getDestinationPath('directory'));
+			fs.writeFileSync(getDestinationPath('directory/a'), 'Goodbye, world!');
+
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					overwrite: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.reduce(function(statuses, operation) {
+					statuses[path.relative(DESTINATION_PATH, operation.dest)] = operation.status;
+					return statuses;
+				}, {});
+				expected = {
+					'directory': 'merged',
+					'directory/a': 'overwritten',
+					'directory/b': 'copied',
+					'directory/c': 'copied'
+				};
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should skip unchanged files if update is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath()
+			).then(function() {
+				fs.writeFileSync(getDestinationPath('b'), 'Goodbye, world!');
+				var copier = copy(
+					getSourcePath('directory'),
+					getDestinationPath(),
+					{
+						update: true
+					}
+				);
+				var events = listenTo(copier, [copy.events.COPY_FILE_SKIPPED]);
+				return copier.then(function(results) {
+					var actual, expected;
+					actual = results.reduce(function(statuses, operation) {
+						statuses[path.relative(DESTINATION_PATH, operation.dest)] = operation.status;
+						return statuses;
+					}, {});
+					expected = {
+						'': 'merged',
+						'a': 'skipped',
+						'b': 'overwritten',
+						'c': 'skipped'
+					};
+					expect(actual).to.eql(expected);
+
+					actual = events.map(function(event) {
+						return path.relative(DESTINATION_PATH, event.args[0].dest);
+					}).sort();
+					expected = ['a', 'c'];
+					expect(actual).to.eql(expected);
+
+					return getOutputFiles()
+						.then(function(files) {
+							var actual, expected;
+							actual = files;
+							expected = {
+								a: 'a\n',
+								b: 'b\n',
+								c: 'c\n'
+							};
+							expect(actual).to.eql(expected);
+						});
+				});
+			});
+		});
+
+		it('should compare file contents if update is set to hash', function() {
+			var stats = fs.statSync(getSourcePath('file'));
+			fs.writeFileSync(getDestinationPath('file'), 'Hello, World!\n');
+			fs.utimesSync(getDestinationPath('file'), stats.atime, stats.mtime);
+
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					update: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results[0].status;
+				expected = 'skipped';
+				expect(actual).to.equal(expected);
+
+				return copy(
+					getSourcePath('file'),
+					getDestinationPath('file'),
+					{
+						update: 'hash'
+					}
+				);
+			}).then(function(results) {
+				var actual, expected;
+				actual = results[0].status;
+				expected = 'overwritten';
+				expect(actual).to.equal(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should report skipped files if update and dryRun are specified', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file')
+			).then(function() {
+				return copy(
+					getSourcePath('file'),
+					getDestinationPath('file'),
+					{
+						update: true,
+						dryRun: true
+					}
+				);
+			}).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return operation.action;
+				});
+				expected = ['skip'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should skip conflicting files if conflict is set to skip', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: 'skip'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.filter(function(operation) {
+					return operation.conflict;
+				}).map(function(operation) {
+					return [path.relative(DESTINATION_PATH, operation.dest), operation.status, operation.conflict];
+				});
+				expected = [
+					['a', 'skipped', 'skip']
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'Goodbye, world!\n',
+							b: 'b\n',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should only overwrite older files if conflict is set to overwrite-if-newer', function() {
+			var stats = fs.statSync(getSourcePath('directory/a'));
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			fs.utimesSync(getDestinationPath('a'), stats.atime, new Date(stats.mtime.getTime() + 10000));
+			fs.writeFileSync(getDestinationPath('b'), 'Goodbye, world!\n');
+			fs.utimesSync(getDestinationPath('b'), stats.atime, new Date(stats.mtime.getTime() - 10000));
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: 'overwrite-if-newer'
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'Goodbye, world!\n',
+							b: 'b\n',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should only overwrite changed files if conflict is set to overwrite-if-different', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'a\n');
+			fs.writeFileSync(getDestinationPath('b'), 'B\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: 'overwrite-if-different'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.reduce(function(statuses, operation) {
+					statuses[path.relative(DESTINATION_PATH, operation.dest)] = operation.status;
+					return statuses;
+				}, {});
+				expected = {
+					'': 'merged',
+					'a': 'skipped',
+					'b': 'overwritten',
+					'c': 'copied'
+				};
+				expect(actual).to.eql(expected);
+				actual = fs.readFileSync(getDestinationPath('b'), 'utf8');
+				expected = 'b\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should copy conflicting files to numbered paths if conflict is set to rename', function() {
+			fs.writeFileSync(getDestinationPath('file.txt'), 'Goodbye, world!\n');
+			fs.writeFileSync(getDestinationPath('file (1).txt'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file.txt'),
+				{
+					conflict: 'rename'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return [operation.dest, operation.status, operation.conflict];
+				});
+				expected = [
+					[getDestinationPath('file (2).txt'), 'copied', 'rename']
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'file.txt': 'Goodbye, world!\n',
+							'file (1).txt': 'Goodbye, world!\n',
+							'file (2).txt': 'Hello, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should not rename conflicting files to the destination paths of other files', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/f.txt'), 'A');
+			fs.writeFileSync(getDestinationPath('src/f (1).txt'), 'B');
+			fs.mkdirSync(getDestinationPath('output'));
+			fs.writeFileSync(getDestinationPath('output/f.txt'), 'Goodbye, world!\n');
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					conflict: 'rename'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.filter(function(operation) {
+					return operation.stats.isFile();
+				}).map(function(operation) {
+					return [path.basename(operation.src), path.basename(operation.dest)];
+				}).sort();
+				expected = [
+					['f (1).txt', 'f (1).txt'],
+					['f.txt', 'f (2).txt']
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files.output;
+						expected = {
+							'f.txt': 'Goodbye, world!\n',
+							'f (1).txt': 'B',
+							'f (2).txt': 'A'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should move conflicting files to a backup path if conflict is set to backup', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					conflict: 'backup'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return [operation.status, operation.conflict, operation.backup];
+				});
+				expected = [
+					['overwritten', 'backup', getDestinationPath('file~')]
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'file': 'Hello, world!\n',
+							'file~': 'Goodbye, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should move conflicting files to a backup path when a transaction is committed', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: 'backup',
+					transaction: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'a': 'a\n',
+							'a~': 'Goodbye, world!\n',
+							'b': 'b\n',
+							'c': 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should leave conflicting files in place if a transaction with backups fails', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: 'backup',
+					transaction: true,
+					transform: function(src, dest, stats) {
+						if (path.basename(src) !== 'c') { return null; }
+						return through(function(chunk, enc, done) {
+							done(new Error('Test error'));
+						});
+					}
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				expect(error.message).to.equal('Test error');
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'Goodbye, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should resolve conflicts via function if conflict is a function', function() {
+			var conflictArguments = [];
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			fs.writeFileSync(getDestinationPath('b'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					conflict: function(src, dest, srcStats, destStats) {
+						conflictArguments.push([src, dest, srcStats.size, destStats.size]);
+						return Promise.resolve(path.basename(src) === 'a' ? 'overwrite' : 'skip');
+					}
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = conflictArguments.sort();
+				expected = [
+					[getSourcePath('directory/a'), getDestinationPath('a'), 2, 16],
+					[getSourcePath('directory/b'), getDestinationPath('b'), 2, 16]
+				];
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return operation.conflict;
+				}).map(function(operation) {
+					return [path.relative(DESTINATION_PATH, operation.dest), operation.status, operation.conflict];
+				}).sort();
+				expected = [
+					['a', 'overwritten', 'overwrite'],
+					['b', 'skipped', 'skip']
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'Goodbye, world!\n',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should fail on conflicts with directories unless they are overwritten', function() {
+			fs.writeFileSync(getDestinationPath('directory'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					conflict: 'skip'
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.code;
+				expected = 'EEXIST';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should fail if conflict is set to an invalid strategy', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					conflict: 'nonexistent'
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Invalid conflict strategy: nonexistent';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should back up overwritten files if backup is specified', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!\n');
+			var copier = copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					overwrite: true,
+					backup: true
+				}
+			);
+			var events = listenTo(copier, [copy.events.BACKUP_START, copy.events.BACKUP_COMPLETE]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return [operation.status, operation.backup];
+				});
+				expected = [
+					['overwritten', getDestinationPath('file~')]
+				];
+				expect(actual).to.eql(expected);
+				actual = events.map(function(event) {
+					return [event.name, event.args[0].dest, event.args[0].backup];
+				});
+				expected = [
+					['backupStart', getDestinationPath('file'), getDestinationPath('file~')],
+					['backupComplete', getDestinationPath('file'), getDestinationPath('file~')]
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'file': 'Hello, world!\n',
+							'file~': 'Goodbye, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should back up overwritten files with a custom suffix if backup suffix is specified', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'a\n');
+			fs.writeFileSync(getDestinationPath('b'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					update: 'hash',
+					backup: { suffix: '.bak' }
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'a': 'a\n',
+							'b': 'b\n',
+							'b.bak': 'Goodbye, world!\n',
+							'c': 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should create numbered backups if backup is set to numbered', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!\n');
+			fs.writeFileSync(getDestinationPath('file.~1~'), '1\n');
+			fs.writeFileSync(getDestinationPath('file.~3~'), '3\n');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					overwrite: true,
+					backup: 'numbered'
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'file': 'Hello, world!\n',
+							'file.~1~': '1\n',
+							'file.~3~': '3\n',
+							'file.~4~': 'Goodbye, world!\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should back up overwritten files into a parallel directory tree if backup directory is specified', function() {
+			fs.mkdirSync(getDestinationPath('output'));
+			fs.mkdirSync(getDestinationPath('output/1'));
+			fs.writeFileSync(getDestinationPath('output/a'), 'Goodbye, world!\n');
+			fs.writeFileSync(getDestinationPath('output/1/1-a'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath('output'),
+				{
+					overwrite: true,
+					backup: { directory: getDestinationPath('backup') }
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files.backup;
+						expected = {
+							'1': {
+								'1-a': 'Goodbye, world!\n'
+							},
+							'a': 'Goodbye, world!\n'
+						};
+						expect(actual).to.eql(expected);
+						actual = files.output.a;
+						expected = 'a\n';
+						expect(actual).to.equal(expected);
+					});
+			});
+		});
+
+		it('should not remove backups if backup and mirror are specified', function() {
+			fs.writeFileSync(getDestinationPath('a'), 'Goodbye, world!\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					overwrite: true,
+					backup: true,
+					mirror: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = Object.keys(files).sort();
+						expected = ['a', 'a~', 'b', 'c'];
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should not remove backups from previous copies if backup and mirror are specified', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.mkdirSync(getDestinationPath('output'));
+			fs.writeFileSync(getDestinationPath('output/f'), '0');
+			var options = {
+				overwrite: true,
+				backup: 'numbered',
+				mirror: true
+			};
+			return [1, 2, 3].reduce(function(previous, version) {
+				return previous.then(function() {
+					fs.writeFileSync(getDestinationPath('src/f'), String(version));
+					return copy(getDestinationPath('src'), getDestinationPath('output'), options);
+				});
+			}, Promise.resolve())
+				.then(function() {
+					return getOutputFiles()
+						.then(function(files) {
+							var actual, expected;
+							actual = files.output;
+							expected = {
+								'f': '3',
+								'f.~1~': '0',
+								'f.~2~': '1',
+								'f.~3~': '2'
+							};
+							expect(actual).to.eql(expected);
+						});
+				});
+		});
+
+		it('should not remove paths within the backup directory if backup and mirror are specified', function() {
+			fs.mkdirSync(getDestinationPath('backups'));
+			fs.writeFileSync(getDestinationPath('backups/z'), 'z\n');
+			fs.writeFileSync(getDestinationPath('d'), 'd\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					overwrite: true,
+					backup: { directory: getDestinationPath('backups') },
+					mirror: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'b\n',
+							c: 'c\n',
+							backups: {
+								z: 'z\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should remove orphaned destination paths if mirror is specified', function() {
+			fs.writeFileSync(getDestinationPath('d'), 'd\n');
+			fs.mkdirSync(getDestinationPath('orphan'));
+			fs.writeFileSync(getDestinationPath('orphan/a'), 'a\n');
+			fs.symlinkSync('./a', getDestinationPath('symlink'), 'file');
+
+			var copier = copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					mirror: true
+				}
+			);
+			var events = listenTo(copier, [copy.events.REMOVE_START, copy.events.REMOVE_COMPLETE]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = events.map(function(event) {
+					return event.name + ':' + path.relative(DESTINATION_PATH, event.args[0].dest);
+				}).sort();
+				expected = [
+					'removeComplete:d',
+					'removeComplete:orphan',
+					'removeComplete:symlink',
+					'removeStart:d',
+					'removeStart:orphan',
+					'removeStart:symlink'
+				];
+				expect(actual).to.eql(expected);
+
+				actual = results.length;
+				expected = 4;
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'b\n',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should retain the parent directories of filtered paths if mirror is specified', function() {
+			fs.mkdirSync(getDestinationPath('1'));
+			fs.writeFileSync(getDestinationPath('1/1-a'), '');
+			fs.mkdirSync(getDestinationPath('2'));
+			fs.writeFileSync(getDestinationPath('2/2-a'), '');
+
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: '1/1-1/1-1-a',
+					mirror: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {
+								'1-1': {
+									'1-1-a': '1-1-a\n'
+								}
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should not remove protected destination paths if mirror is specified', function() {
+			fs.writeFileSync(getDestinationPath('d'), 'd\n');
+			fs.writeFileSync(getDestinationPath('e'), 'e\n');
+			fs.mkdirSync(getDestinationPath('cache'));
+			fs.writeFileSync(getDestinationPath('cache/a'), 'a\n');
+			fs.mkdirSync(getDestinationPath('logs'));
+			fs.writeFileSync(getDestinationPath('logs/a'), 'a\n');
+			fs.writeFileSync(getDestinationPath('logs/b.log'), 'b\n');
+
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					mirror: true,
+					protect: ['e', 'cache', '**/*.log']
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'b\n',
+							c: 'c\n',
+							e: 'e\n',
+							cache: {
+								a: 'a\n'
+							},
+							logs: {
+								'b.log': 'b\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should report orphaned destination paths if mirror and dryRun are specified', function() {
+			fs.writeFileSync(getDestinationPath('d'), 'd\n');
+
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					mirror: true,
+					dryRun: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.filter(function(operation) {
+					return operation.action === 'remove';
+				}).map(function(operation) {
+					return operation.dest;
+				});
+				expected = [getDestinationPath('d')];
+				expect(actual).to.eql(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							d: 'd\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should continue copying after errors if continueOnError is specified', function() {
+			fs.writeFileSync(getDestinationPath('b'), 'Goodbye, world!');
+
+			var copier = copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					continueOnError: true
+				}
+			);
+			var events = listenTo(copier, [copy.events.ERROR]);
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AggregateError';
+				expect(actual).to.equal(expected);
+
+				actual = error.failures.map(function(failure) {
+					return {
+						src: failure.src,
+						dest: failure.dest,
+						code: failure.error.code
+					};
+				});
+				expected = [
+					{
+						src: getSourcePath('directory/b'),
+						dest: getDestinationPath('b'),
+						code: 'EEXIST'
+					}
+				];
+				expect(actual).to.eql(expected);
+
+				actual = error.errors;
+				expected = [error.failures[0].error];
+				expect(actual).to.eql(expected);
+
+				actual = error.results.map(function(result) {
+					return path.relative(DESTINATION_PATH, result.dest);
+				}).sort();
+				expected = ['', 'a', 'c'];
+				expect(actual).to.eql(expected);
+
+				actual = events.map(function(event) {
+					return event.args[1];
+				});
+				expected = [
+					{
+						src: getSourcePath('directory/b'),
+						dest: getDestinationPath('b')
+					}
+				];
+				expect(actual).to.eql(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'Goodbye, world!',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should skip unreadable directories if continueOnError is specified', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.mkdirSync(getDestinationPath('src/good'));
+			fs.writeFileSync(getDestinationPath('src/good/a'), 'a\n');
+			fs.mkdirSync(getDestinationPath('src/bad'));
+			fs.writeFileSync(getDestinationPath('src/bad/b'), 'b\n');
+
+			var originalReaddir = copy.__get__('readdir');
+			var unmockReaddir = copy.__set__('readdir', function(directoryPath) {
+				if (directoryPath === getDestinationPath('src/bad')) {
+					var error = new Error('EACCES: permission denied');
+					error.code = 'EACCES';
+					return Promise.reject(error);
+				}
+				return originalReaddir.apply(this, arguments);
+			});
+			var copier = copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					continueOnError: true
+				}
+			);
+			var events = listenTo(copier, [copy.events.ERROR]);
+			return copier.then(function() {
+				unmockReaddir();
+				throw new Error('Should throw error');
+			}, function(error) {
+				unmockReaddir();
+				throw error;
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AggregateError';
+				expect(actual).to.equal(expected);
+
+				actual = error.failures.map(function(failure) {
+					return {
+						src: failure.src,
+						dest: failure.dest,
+						code: failure.error.code
+					};
+				});
+				expected = [
+					{
+						src: getDestinationPath('src/bad'),
+						dest: getDestinationPath('output/bad'),
+						code: 'EACCES'
+					}
+				];
+				expect(actual).to.eql(expected);
+
+				actual = events.map(function(event) {
+					return event.args[1];
+				});
+				expected = [
+					{
+						src: getDestinationPath('src/bad'),
+						dest: getDestinationPath('output/bad')
+					}
+				];
+				expect(actual).to.eql(expected);
+
+				actual = fs.readdirSync(getDestinationPath('output')).sort();
+				expected = ['bad', 'good'];
+				expect(actual).to.eql(expected);
+
+				actual = fs.readdirSync(getDestinationPath('output/bad'));
+				expected = [];
+				expect(actual).to.eql(expected);
+
+				actual = fs.readFileSync(getDestinationPath('output/good/a'), 'utf8');
+				expected = 'a\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should resolve with results if continueOnError is specified and no errors occur', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					continueOnError: true
+				}
+			).then(function(results) {
+				checkResults(results, {
+					'directory': 'dir',
+					'directory/a': 'file',
+					'directory/b': 'file',
+					'directory/c': 'file'
+				});
+			});
+		});
+
+		it('should write files via a temporary path if atomic is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					atomic: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.length;
+				expected = 4;
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							a: 'a\n',
+							b: 'b\n',
+							c: 'c\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should replace existing files if atomic and overwrite are specified', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					atomic: true,
+					overwrite: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+
+				actual = fs.readdirSync(getDestinationPath());
+				expected = ['file'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should preserve existing files if an atomic copy fails', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!');
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					atomic: true,
+					overwrite: true,
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							done(new Error('Stream error'));
+						});
+					}
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Stream error';
+				expect(actual).to.equal(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Goodbye, world!';
+				expect(actual).to.equal(expected);
+
+				actual = fs.readdirSync(getDestinationPath());
+				expected = ['file'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should copy the entire tree if transaction is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					transaction: true
+				}
+			).then(function(results) {
+				checkResults(results, {
+					'directory': 'dir',
+					'directory/a': 'file',
+					'directory/b': 'file',
+					'directory/c': 'file'
+				});
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								a: 'a\n',
+								b: 'b\n',
+								c: 'c\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should create filtered-out parent directories if transaction is specified', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath('output'),
+				{
+					transaction: true,
+					filter: '**/*-1-a'
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							output: {
+								'1': {
+									'1-1': {
+										'1-1-a': '1-1-a\n'
+									}
+								},
+								'2': {
+									'2-1': {
+										'2-1-a': '2-1-a\n'
+									}
+								}
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should create parent directories of renamed files if transaction is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('output'),
+				{
+					transaction: true,
+					rename: function(filePath, stats) {
+						return (stats.isDirectory() ? filePath : path.join('sub', filePath));
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							output: {
+								sub: {
+									a: 'a\n',
+									b: 'b\n',
+									c: 'c\n'
+								}
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should replace overwritten files if transaction is specified', function() {
+			fs.mkdirSync(getDestinationPath('directory'));
+			fs.writeFileSync(getDestinationPath('directory/a'), 'Goodbye, world!');
+			fs.writeFileSync(getDestinationPath('directory/d'), 'd\n');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					transaction: true,
+					overwrite: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								a: 'a\n',
+								b: 'b\n',
+								c: 'c\n',
+								d: 'd\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should leave the destination unchanged if a transaction fails', function() {
+			fs.mkdirSync(getDestinationPath('directory'));
+			fs.writeFileSync(getDestinationPath('directory/a'), 'Goodbye, world!');
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath('directory'),
+				{
+					transaction: true,
+					overwrite: true,
+					transform: function(src, dest, stats) {
+						if (path.basename(src) !== '2-a') { return null; }
+						return through(function(chunk, enc, done) {
+							done(new Error('Stream error'));
+						});
+					}
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Stream error';
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								a: 'Goodbye, world!'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should leave the destination unchanged if any files fail to copy within a transaction', function() {
+			fs.mkdirSync(getDestinationPath('directory'));
+			fs.writeFileSync(getDestinationPath('directory/b'), 'Goodbye, world!');
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					transaction: true,
+					continueOnError: true
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AggregateError';
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								b: 'Goodbye, world!'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should restore removed orphans if a mirrored transaction fails', function() {
+			fs.mkdirSync(getDestinationPath('directory'));
+			fs.writeFileSync(getDestinationPath('directory/d'), 'd\n');
+			var copier = copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					transaction: true,
+					mirror: true
+				}
+			);
+			copier.on(copy.events.REMOVE_COMPLETE, function() {
+				copier.abort();
+			});
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							directory: {
+								d: 'd\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should copy untransformed files natively using copy-on-write cloning where supported', function() {
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file')
+			).then(function(results) {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls.map(function(call) {
+					return call.dest;
+				});
+				expected = [getDestinationPath('file')];
+				expect(actual).to.eql(expected);
+
+				actual = calls[0].mode;
+				expected = fs.constants.COPYFILE_FICLONE;
+				expect(actual).to.equal(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockCopyFile();
+				throw error;
+			});
+		});
+
+		it('should disable copy-on-write cloning if reflink is false', function() {
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					reflink: false
+				}
+			).then(function(results) {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls[0].mode;
+				expected = 0;
+				expect(actual).to.equal(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockCopyFile();
+				throw error;
+			});
+		});
+
+		it('should require copy-on-write cloning if reflink is force', function() {
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					reflink: 'force'
+				}
+			).catch(function() {
+				// Cloning fails on filesystems that do not support copy-on-write
+			}).then(function() {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls[0].mode;
+				expected = fs.constants.COPYFILE_FICLONE_FORCE;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should only copy large untransformed files natively if they can be cloned', function() {
+			fs.writeFileSync(getDestinationPath('large'), Buffer.alloc(9 * 1024 * 1024, 'a'));
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			return copy(
+				getDestinationPath('large'),
+				getDestinationPath('output')
+			).then(function(results) {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls.map(function(call) {
+					return call.mode;
+				});
+				expected = [fs.constants.COPYFILE_FICLONE_FORCE];
+				expect(actual).to.eql(expected);
+
+				actual = fs.readFileSync(getDestinationPath('output')).equals(fs.readFileSync(getDestinationPath('large')));
+				expected = true;
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockCopyFile();
+				throw error;
+			});
+		});
+
+		it('should emit progress events while copying large untransformed files', function() {
+			fs.writeFileSync(getDestinationPath('large'), Buffer.alloc(9 * 1024 * 1024, 'a'));
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			var copier = copy(
+				getDestinationPath('large'),
+				getDestinationPath('output'),
+				{
+					reflink: false,
+					progressInterval: 0
+				}
+			);
+			var events = listenTo(copier, [copy.events.PROGRESS, copy.events.COPY_FILE_COMPLETE]);
+			return copier.then(function(results) {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls.length;
+				expected = 0;
+				expect(actual).to.equal(expected);
+
+				var completeIndex = events.map(function(event) {
+					return event.name;
+				}).indexOf(copy.events.COPY_FILE_COMPLETE);
+				actual = events.slice(0, completeIndex).filter(function(event) {
+					return (event.name === copy.events.PROGRESS) && (event.args[0].fileBytesCopied < event.args[0].fileBytesTotal);
+				}).length > 0;
+				expected = true;
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockCopyFile();
+				throw error;
+			});
+		});
+
+		it('should copy transformed files via streams', function() {
+			var calls = [];
+			var unmockCopyFile = spyOnCopyFile(copy, calls);
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							done(null, chunk.toString().toUpperCase());
+						});
+					}
+				}
+			).then(function(results) {
+				unmockCopyFile();
+				var actual, expected;
+				actual = calls.length;
+				expected = 0;
+				expect(actual).to.equal(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'HELLO, WORLD!\n';
+				expect(actual).to.equal(expected);
+			}).catch(function(error) {
+				unmockCopyFile();
+				throw error;
+			});
+		});
+
+		it('should preserve directory modes and timestamps after copying their contents if preserve is specified', function() {
+			var timestamp = new Date(2000, 0, 1);
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.mkdirSync(getDestinationPath('src/directory'));
+			fs.writeFileSync(getDestinationPath('src/directory/file'), 'Hello, world!\n');
+			fs.chmodSync(getDestinationPath('src/directory'), parseInt('750', 8));
+			fs.utimesSync(getDestinationPath('src/directory'), timestamp, timestamp);
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					preserve: ['mode', 'timestamps']
+				}
+			).then(function(results) {
+				var stats = fs.statSync(getDestinationPath('output/directory'));
+				var actual, expected;
+				actual = stats.mode & parseInt('777', 8);
+				expected = parseInt('750', 8);
+				expect(actual).to.equal(expected);
+				actual = stats.mtime.getTime();
+				expected = timestamp.getTime();
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should preserve symlink timestamps if preserve is specified', function() {
+			if (typeof fs.lutimesSync !== 'function') { return this.skip(); }
+			var timestamp = new Date(2000, 0, 1);
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.symlinkSync('nonexistent', getDestinationPath('src/symlink'));
+			fs.lutimesSync(getDestinationPath('src/symlink'), timestamp, timestamp);
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					preserve: ['timestamps']
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.lstatSync(getDestinationPath('output/symlink')).mtime.getTime();
+				expected = timestamp.getTime();
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should not preserve file modes or timestamps if preserve is empty', function() {
+			var timestamp = new Date(2000, 0, 1);
+			fs.writeFileSync(getDestinationPath('executable'), 'Hello, world!\n', { mode: parseInt('755', 8) });
+			fs.utimesSync(getDestinationPath('executable'), timestamp, timestamp);
+			return copy(
+				getDestinationPath('executable'),
+				getDestinationPath('output'),
+				{
+					preserve: []
+				}
+			).then(function(results) {
+				var stats = fs.statSync(getDestinationPath('output'));
+				var actual, expected;
+				actual = stats.mode & parseInt('111', 8);
+				expected = 0;
+				expect(actual).to.equal(expected);
+				actual = stats.mtime.getTime();
+				expected = timestamp.getTime();
+				expect(actual).not.to.equal(expected);
+			});
+		});
+
+		it('should preserve ownership if preserve includes ownership', function() {
+			var chownCalls = [];
+			var revertChown = copy.__set__('chown', function(filePath, uid, gid) {
+				chownCalls.push([filePath, uid, gid]);
+				return Promise.resolve();
+			});
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					preserve: ['ownership']
+				}
+			).then(function(results) {
+				revertChown();
+				var stats = fs.statSync(getSourcePath('directory/a'));
+				var actual, expected;
+				actual = chownCalls.map(function(call) {
+					return call[0];
+				}).sort();
+				expected = [
+					getDestinationPath('directory'),
+					getDestinationPath('directory/a'),
+					getDestinationPath('directory/b'),
+					getDestinationPath('directory/c')
+				];
+				expect(actual).to.eql(expected);
+				actual = chownCalls[0].slice(1);
+				expected = [stats.uid, stats.gid];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should ignore permission errors when preserving ownership', function() {
+			var revertChown = copy.__set__('chown', function(filePath, uid, gid) {
+				var error = new Error('EPERM, operation not permitted');
+				error.code = 'EPERM';
+				return Promise.reject(error);
+			});
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					preserve: ['ownership']
+				}
+			).then(function(results) {
+				revertChown();
+				var actual, expected;
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should copy extended attributes if preserve includes xattrs', function() {
+			var attributes = {};
+			attributes[getSourcePath('file')] = { 'user.a': Buffer.from('a') };
+			var revertXattr = copy.__set__('xattr', {
+				list: function(filePath) {
+					return Promise.resolve(Object.keys(attributes[filePath] || {}));
+				},
+				get: function(filePath, attribute) {
+					return Promise.resolve(attributes[filePath][attribute]);
+				},
+				set: function(filePath, attribute, value) {
+					attributes[filePath] = attributes[filePath] || {};
+					attributes[filePath][attribute] = value;
+					return Promise.resolve();
+				}
+			});
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					preserve: ['xattrs']
+				}
+			).then(function(results) {
+				revertXattr();
+				var actual, expected;
+				actual = attributes[getDestinationPath('file')]['user.a'].toString();
+				expected = 'a';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should fail if preserve includes xattrs and fs-xattr is not installed', function() {
+			var revertXattr = copy.__set__('xattr', null);
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					preserve: ['xattrs']
+				}
+			).then(function() {
+				revertXattr();
+				throw new Error('Should throw error');
+			}, function(error) {
+				revertXattr();
+				var actual, expected;
+				actual = error.message;
+				expected = 'Preserving extended attributes requires the fs-xattr package to be installed';
+				expect(actual).to.equal(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						expect(files).to.eql({});
+					});
+			});
+		});
+
+		it('should fail if preserve includes an invalid attribute', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					preserve: ['nonexistent']
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Invalid preserved attribute: nonexistent';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should recreate hard links between source files if hardlinks is set to preserve', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/a'), 'a\n');
+			fs.linkSync(getDestinationPath('src/a'), getDestinationPath('src/b'));
+			fs.writeFileSync(getDestinationPath('src/c'), 'c\n');
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					hardlinks: 'preserve'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.statSync(getDestinationPath('output/a')).ino;
+				expected = fs.statSync(getDestinationPath('output/b')).ino;
+				expect(actual).to.equal(expected);
+				actual = fs.statSync(getDestinationPath('output/a')).nlink;
+				expected = 2;
+				expect(actual).to.equal(expected);
+				actual = fs.statSync(getDestinationPath('output/a')).ino;
+				expected = fs.statSync(getDestinationPath('src/a')).ino;
+				expect(actual).not.to.equal(expected);
+				actual = fs.statSync(getDestinationPath('output/c')).nlink;
+				expected = 1;
+				expect(actual).to.equal(expected);
+				actual = results.filter(function(operation) {
+					return operation.hardlink;
+				}).map(function(operation) {
+					return [operation.dest, operation.hardlink];
+				});
+				expected = [
+					[getDestinationPath('output/b'), getDestinationPath('output/a')]
+				];
+				expect(actual).to.eql(expected);
+				actual = fs.readFileSync(getDestinationPath('output/b'), 'utf8');
+				expected = 'a\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should recreate hard links within a transaction if hardlinks is set to preserve', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/a'), 'a\n');
+			fs.linkSync(getDestinationPath('src/a'), getDestinationPath('src/b'));
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					hardlinks: 'preserve',
+					transaction: true,
+					concurrency: 1
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.statSync(getDestinationPath('output/a')).ino;
+				expected = fs.statSync(getDestinationPath('output/b')).ino;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should link destination files to their source files if hardlinks is set to create', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					hardlinks: 'create'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = ['a', 'b', 'c'].map(function(filename) {
+					return fs.statSync(getDestinationPath('directory/' + filename)).ino;
+				});
+				expected = ['a', 'b', 'c'].map(function(filename) {
+					return fs.statSync(getSourcePath('directory/' + filename)).ino;
+				});
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should report planned hard links if hardlinks and dryRun are specified', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					hardlinks: 'create',
+					dryRun: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return [operation.action, operation.hardlink];
+				});
+				expected = [
+					['createHardlink', getSourcePath('file')]
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						expect(files).to.eql({});
+					});
+			});
+		});
+
+		it('should rewrite absolute symlink targets within the source as relative targets if symlinks is set to relative', function() {
+			createSymlinksProject(getDestinationPath('project'));
+			return copy(
+				getDestinationPath('project/src'),
+				getDestinationPath('output/nested'),
+				{
+					symlinks: 'relative'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = ['relative-link', 'absolute-link', 'external-link', 'external-directory-link'].map(function(filename) {
+					return slash(fs.readlinkSync(getDestinationPath('output/nested/' + filename)));
+				});
+				expected = ['file', 'file', '../../project/external-file', '../../project/external-directory'];
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return operation.symlink;
+				}).reduce(function(statuses, operation) {
+					statuses[path.basename(operation.dest)] = operation.symlink.status;
+					return statuses;
+				}, {});
+				expected = {
+					'relative-link': 'preserved',
+					'absolute-link': 'rewritten',
+					'external-link': 'rewritten',
+					'external-directory-link': 'rewritten'
+				};
+				expect(actual).to.eql(expected);
+				actual = fs.readFileSync(getDestinationPath('output/nested/external-link'), 'utf8');
+				expected = 'external\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should retarget symlinks within the source to the destination if symlinks is set to rebase', function() {
+			createSymlinksProject(getDestinationPath('project'));
+			return copy(
+				getDestinationPath('project/src'),
+				getDestinationPath('output'),
+				{
+					symlinks: 'rebase'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = ['relative-link', 'absolute-link', 'external-link'].map(function(filename) {
+					return fs.readlinkSync(getDestinationPath('output/' + filename));
+				});
+				expected = [getDestinationPath('output/file'), getDestinationPath('output/file'), '../project/external-file'];
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return path.basename(operation.dest) === 'absolute-link';
+				})[0].symlink;
+				expected = {
+					target: getDestinationPath('project/src/file'),
+					link: getDestinationPath('output/file'),
+					status: 'rewritten'
+				};
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should expand symlinks to paths outside the source if symlinks is set to dereference-external', function() {
+			createSymlinksProject(getDestinationPath('project'));
+			return copy(
+				getDestinationPath('project/src'),
+				getDestinationPath('output'),
+				{
+					symlinks: 'dereference-external'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = ['relative-link', 'absolute-link', 'external-link', 'external-directory-link'].map(function(filename) {
+					return fs.lstatSync(getDestinationPath('output/' + filename)).isSymbolicLink();
+				});
+				expected = [true, true, false, false];
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return operation.symlink && (operation.symlink.status === 'dereferenced');
+				}).map(function(operation) {
+					return path.basename(operation.dest);
+				}).sort();
+				expected = ['external-directory-link', 'external-link'];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = omit(files.output, ['relative-link', 'absolute-link']);
+						expected = {
+							'file': 'file\n',
+							'external-link': 'external\n',
+							'external-directory-link': {
+								'file': 'external\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should not copy symlinks if symlinks is set to skip', function() {
+			createSymlinksProject(getDestinationPath('project'));
+			var copier = copy(
+				getDestinationPath('project/src'),
+				getDestinationPath('output'),
+				{
+					symlinks: 'skip'
+				}
+			);
+			var events = listenTo(copier, [copy.events.CREATE_SYMLINK_START, copy.events.COPY_FILE_SKIPPED]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = fs.readdirSync(getDestinationPath('output'));
+				expected = ['file'];
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return operation.symlink;
+				}).map(function(operation) {
+					return [path.basename(operation.dest), operation.status, operation.symlink.status, operation.symlink.link];
+				}).sort();
+				expected = [
+					['absolute-link', 'skipped', 'skipped', null],
+					['external-directory-link', 'skipped', 'skipped', null],
+					['external-link', 'skipped', 'skipped', null],
+					['relative-link', 'skipped', 'skipped', null]
+				];
+				expect(actual).to.eql(expected);
+				actual = events.map(function(event) {
+					return event.name;
+				});
+				expected = [copy.events.COPY_FILE_SKIPPED, copy.events.COPY_FILE_SKIPPED, copy.events.COPY_FILE_SKIPPED, copy.events.COPY_FILE_SKIPPED];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should fail if symlinks is set to an invalid mode', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					symlinks: 'nonexistent'
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Invalid symlinks mode: nonexistent';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should fail on special files by default', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/file'), 'file\n');
+			childProcess.execFileSync('mkfifo', [getDestinationPath('src/fifo')]);
+			return copy(
+				getDestinationPath('src'),
+				getDestinationPath('output')
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = [error.code, error.path, error.fileType];
+				expected = ['ESPECIALFILE', getDestinationPath('src/fifo'), 'fifo'];
+				expect(actual).to.eql(expected);
+				actual = error.message;
+				expected = 'Cannot copy special file (fifo): ' + getDestinationPath('src/fifo');
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should skip special files if specialFiles is set to skip', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/file'), 'file\n');
+			childProcess.execFileSync('mkfifo', [getDestinationPath('src/fifo')]);
+			var copier = copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					specialFiles: 'skip'
+				}
+			);
+			var events = listenTo(copier, [copy.events.SPECIAL_FILE_SKIPPED, copy.events.COPY_FILE_SKIPPED]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = fs.readdirSync(getDestinationPath('output'));
+				expected = ['file'];
+				expect(actual).to.eql(expected);
+				actual = events.map(function(event) {
+					return [event.name, event.args[0].src, event.args[0].status];
+				});
+				expected = [
+					[copy.events.SPECIAL_FILE_SKIPPED, getDestinationPath('src/fifo'), 'skipped']
+				];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should recreate named pipes if specialFiles is set to recreate', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			childProcess.execFileSync('mkfifo', ['-m', '640', getDestinationPath('src/fifo')]);
+			var copier = copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					specialFiles: 'recreate'
+				}
+			);
+			var events = listenTo(copier, [copy.events.CREATE_SPECIAL_FILE_START, copy.events.CREATE_SPECIAL_FILE_COMPLETE]);
+			return copier.then(function(results) {
+				var actual, expected;
+				actual = fs.lstatSync(getDestinationPath('output/fifo')).isFIFO();
+				expected = true;
+				expect(actual).to.equal(expected);
+				actual = fs.lstatSync(getDestinationPath('output/fifo')).mode & parseInt('777', 8);
+				expected = parseInt('640', 8);
+				expect(actual).to.equal(expected);
+				actual = events.map(function(event) {
+					return [event.name, event.args[0].dest];
+				});
+				expected = [
+					[copy.events.CREATE_SPECIAL_FILE_START, getDestinationPath('output/fifo')],
+					[copy.events.CREATE_SPECIAL_FILE_COMPLETE, getDestinationPath('output/fifo')]
+				];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should report planned special files if specialFiles and dryRun are specified', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			childProcess.execFileSync('mkfifo', [getDestinationPath('src/fifo')]);
+			return copy(
+				getDestinationPath('src/fifo'),
+				getDestinationPath('output'),
+				{
+					specialFiles: 'recreate',
+					dryRun: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.map(function(operation) {
+					return operation.action;
+				});
+				expected = ['createSpecialFile'];
+				expect(actual).to.eql(expected);
+				actual = fs.readdirSync(getDestinationPath());
+				expected = ['src'];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should fail if specialFiles is set to an invalid mode', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					specialFiles: 'nonexistent'
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Invalid specialFiles mode: nonexistent';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should preserve holes in sparse files if sparse is specified', function() {
+			createSparseFile(getDestinationPath('sparse'), 4 * 1024 * 1024, 1024 * 1024, 'data');
+			return copy(
+				getDestinationPath('sparse'),
+				getDestinationPath('output'),
+				{
+					sparse: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				var srcStats = fs.statSync(getDestinationPath('sparse'));
+				var destStats = fs.statSync(getDestinationPath('output'));
+				actual = destStats.size;
+				expected = srcStats.size;
+				expect(actual).to.equal(expected);
+				actual = destStats.blocks;
+				expected = srcStats.blocks;
+				expect(actual).to.be.at.most(expected);
+				actual = fs.readFileSync(getDestinationPath('output')).equals(fs.readFileSync(getDestinationPath('sparse')));
+				expected = true;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should only complete sparse file copies once the holes at the end of the file have been created', function() {
+			createSparseFile(getDestinationPath('sparse'), 1024 * 1024, 0, 'data');
+			var mtime = new Date(2000, 0, 1);
+			fs.utimesSync(getDestinationPath('sparse'), mtime, mtime);
+			var ftruncate = copy.__get__('ftruncate');
+			var revertFtruncate = copy.__set__('ftruncate', function(fd, length) {
+				return new Promise(function(resolve) {
+					setTimeout(resolve, 100);
+				}).then(function() {
+					return ftruncate(fd, length);
+				});
+			});
+			return copy(
+				getDestinationPath('sparse'),
+				getDestinationPath('output'),
+				{
+					sparse: true,
+					atomic: true,
+					preserve: ['timestamps']
+				}
+			).then(function(results) {
+				revertFtruncate();
+				var actual, expected;
+				var destStats = fs.statSync(getDestinationPath('output'));
+				actual = destStats.size;
+				expected = 1024 * 1024;
+				expect(actual).to.equal(expected);
+				actual = destStats.mtime.getTime();
+				expected = mtime.getTime();
+				expect(actual).to.equal(expected);
+			}, function(error) {
+				revertFtruncate();
+				throw error;
+			});
+		});
+
+		it('should only create holes for sparse source files unless sparse is set to always', function() {
+			fs.writeFileSync(getDestinationPath('zeros'), Buffer.alloc(1024 * 1024));
+			return copy(
+				getDestinationPath('zeros'),
+				getDestinationPath('output'),
+				{
+					sparse: true
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.statSync(getDestinationPath('output')).blocks;
+				expected = fs.statSync(getDestinationPath('zeros')).blocks;
+				expect(actual).to.equal(expected);
+				return copy(
+					getDestinationPath('zeros'),
+					getDestinationPath('output'),
+					{
+						sparse: 'always',
+						overwrite: true
+					}
+				);
+			}).then(function(results) {
+				var actual, expected;
+				actual = fs.statSync(getDestinationPath('output')).size;
+				expected = 1024 * 1024;
+				expect(actual).to.equal(expected);
+				actual = fs.statSync(getDestinationPath('output')).blocks;
+				expected = 0;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should preserve holes in transformed sparse files if sparse is specified', function() {
+			createSparseFile(getDestinationPath('sparse'), 4 * 1024 * 1024, 1024 * 1024, 'data');
+			return copy(
+				getDestinationPath('sparse'),
+				getDestinationPath('output'),
+				{
+					sparse: true,
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							done(null, chunk);
+						});
+					}
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = fs.statSync(getDestinationPath('output')).blocks;
+				expected = fs.statSync(getDestinationPath('sparse')).blocks;
+				expect(actual).to.be.at.most(expected);
+				actual = fs.readFileSync(getDestinationPath('output')).equals(fs.readFileSync(getDestinationPath('sparse')));
+				expected = true;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should include file digests in results if verify is specified', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath('directory'),
+				{
+					verify: 'sha256'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results.filter(function(operation) {
+					return operation.stats.isFile();
+				}).reduce(function(digests, operation) {
+					digests[path.basename(operation.dest)] = operation.digest;
+					return digests;
+				}, {});
+				expected = ['a', 'b', 'c'].reduce(function(digests, filename) {
+					digests[filename] = crypto.createHash('sha256').update(filename + '\n').digest('hex');
+					return digests;
+				}, {});
+				expect(actual).to.eql(expected);
+				actual = results.filter(function(operation) {
+					return operation.stats.isDirectory();
+				})[0].digest;
+				expected = undefined;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should verify transformed file contents if verify is specified', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					verify: 'md5',
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							done(null, chunk.toString().toUpperCase());
+						});
+					}
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results[0].digest;
+				expected = crypto.createHash('md5').update('HELLO, WORLD!\n').digest('hex');
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should verify file sizes without digests if verify is set to size', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					verify: 'size'
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = results[0].digest;
+				expected = undefined;
+				expect(actual).to.equal(expected);
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Hello, world!\n';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should fail with a verification error if the destination file does not match', function() {
+			var originalCopyFile = copy.__get__('fs').copyFile;
+			copy.__get__('fs').copyFile = function(srcPath, destPath, mode, callback) {
+				fs.writeFile(destPath, 'Corrupted\n', callback);
+			};
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					verify: 'sha256',
+					atomic: true
+				}
+			).then(function() {
+				copy.__get__('fs').copyFile = originalCopyFile;
+				throw new Error('Should throw error');
+			}, function(error) {
+				copy.__get__('fs').copyFile = originalCopyFile;
+				var actual, expected;
+				actual = [error.name, error.code, error.path, error.algorithm];
+				expected = ['VerificationError', 'EVERIFY', getDestinationPath('file'), 'sha256'];
+				expect(actual).to.eql(expected);
+				actual = [error.expected, error.actual];
+				expected = [
+					crypto.createHash('sha256').update('Hello, world!\n').digest('hex'),
+					crypto.createHash('sha256').update('Corrupted\n').digest('hex')
+				];
+				expect(actual).to.eql(expected);
+				return getOutputFiles()
+					.then(function(files) {
+						expect(files).to.eql({});
+					});
+			});
+		});
+
+		it('should fail if verify is set to an invalid algorithm', function() {
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					verify: 'nonexistent'
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Invalid verify algorithm: nonexistent';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should exclude files matched by ignore files if ignoreFiles is specified', function() {
+			createIgnoreFilesProject(getDestinationPath('project'));
+			var readdirCalls = [];
+			var unmockReaddir = spyOnReaddir(copy, readdirCalls);
+			return copy(
+				getDestinationPath('project'),
+				getDestinationPath('output'),
+				{
+					ignoreFiles: ['.gitignore']
+				}
+			).then(function(results) {
+				unmockReaddir();
+				var actual, expected;
+				actual = readdirCalls.indexOf(getDestinationPath('project/build'));
+				expected = -1;
+				expect(actual).to.equal(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files.output;
+						expected = {
+							'index.js': 'index\n',
+							'keep.log': 'keep\n',
+							'lib': {
+								'debug.log': 'debug\n',
+								'main.js': 'main\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			}).catch(function(error) {
+				unmockReaddir();
+				throw error;
+			});
+		});
+
+		it('should combine rules from multiple ignore files and filters', function() {
+			createIgnoreFilesProject(getDestinationPath('project'));
+			fs.writeFileSync(getDestinationPath('project/.npmignore'), 'keep.log\n');
+			return copy(
+				getDestinationPath('project'),
+				getDestinationPath('output'),
+				{
+					ignoreFiles: ['.gitignore', '.npmignore'],
+					filter: '**/*.{js,log,gitignore}',
+					dot: true
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files.output;
+						expected = {
+							'.gitignore': '*.log\nbuild/\n!keep.log\n',
+							'index.js': 'index\n',
+							'lib': {
+								'.gitignore': '!debug.log\nsecret.js\n',
+								'debug.log': 'debug\n',
+								'main.js': 'main\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+	});
+
+	describe('output transformation', function() {
+		it('should filter output files via function', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: function(filePath) {
+						var filename = path.basename(filePath);
+						return (filePath === '1') || (filename.charAt(0) !== '1');
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {},
+							'2': {
+								'2-1': {
+									'2-1-a': '2-1-a\n',
+									'2-1-b': '2-1-b\n'
+								},
+								'2-2': {
+									'2-2-a': '2-2-a\n',
+									'2-2-b': '2-2-b\n'
+								},
+								'2-a': '2-a\n',
+								'2-b': '2-b\n'
+							},
+							'a': 'a\n',
+							'b': 'b\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should filter output files via regular expression', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: /(^[^1].*$)|(^1$)/
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {},
+							'2': {
+								'2-1': {
+									'2-1-a': '2-1-a\n',
+									'2-1-b': '2-1-b\n'
+								},
+								'2-2': {
+									'2-2-a': '2-2-a\n',
+									'2-2-b': '2-2-b\n'
+								},
+								'2-a': '2-a\n',
+								'2-b': '2-b\n'
+							},
+							'a': 'a\n',
+							'b': 'b\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should filter output files via glob', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: '2/**/*'
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'2': {
+								'2-1': {
+									'2-1-a': '2-1-a\n',
+									'2-1-b': '2-1-b\n'
+								},
+								'2-2': {
+									'2-2-a': '2-2-a\n',
+									'2-2-b': '2-2-b\n'
+								},
+								'2-a': '2-a\n',
+								'2-b': '2-b\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should combine multiple filters from arrays', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: [
+						'1/**/*',
+						'!1/1-1/**/*',
+						/^2\/(?!2-1\/).*$/,
+						function(filePath) {
+							return filePath === 'a';
+						}
+					]
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {
+								'1-1': {},
+								'1-2': {
+									'1-2-a': '1-2-a\n',
+									'1-2-b': '1-2-b\n'
+								},
+								'1-a': '1-a\n',
+								'1-b': '1-b\n'
+							},
+							'2': {
+								'2-1': {
+								},
+								'2-2': {
+									'2-2-a': '2-2-a\n',
+									'2-2-b': '2-2-b\n'
+								},
+								'2-a': '2-a\n',
+								'2-b': '2-b\n'
+							},
+							'a': 'a\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should not traverse directories excluded by negated glob filters', function() {
+			var readdirCalls = [];
+			var unmockReaddir = spyOnReaddir(copy, readdirCalls);
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: [
+						'**',
+						'!1/**'
+					]
+				}
+			).then(function(results) {
+				unmockReaddir();
+				var actual, expected;
+				actual = readdirCalls.map(function(directoryPath) {
+					return slash(path.relative(getSourcePath('nested-directory'), directoryPath));
+				}).sort();
+				expected = ['', '2', '2/2-1', '2/2-2'];
+				expect(actual).to.eql(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {},
 							'2': {
 								'2-1': {
 									'2-1-a': '2-1-a\n',
@@ -796,10 +3763,15 @@ describe('copy()', function() {
 						};
 						expect(actual).to.eql(expected);
 					});
+			}).catch(function(error) {
+				unmockReaddir();
+				throw error;
 			});
 		});
 
-		it('should filter output files via glob', function() {
+		it('should not traverse directories that cannot contain glob filter matches', function() {
+			var readdirCalls = [];
+			var unmockReaddir = spyOnReaddir(copy, readdirCalls);
 			return copy(
 				getSourcePath('nested-directory'),
 				getDestinationPath(),
@@ -807,42 +3779,107 @@ describe('copy()', function() {
 					filter: '2/**/*'
 				}
 			).then(function(results) {
+				unmockReaddir();
+				var actual, expected;
+				actual = readdirCalls.map(function(directoryPath) {
+					return slash(path.relative(getSourcePath('nested-directory'), directoryPath));
+				}).sort();
+				expected = ['', '2', '2/2-1', '2/2-2'];
+				expect(actual).to.eql(expected);
+			}).catch(function(error) {
+				unmockReaddir();
+				throw error;
+			});
+		});
+
+		it('should skip subtrees via filter functions', function() {
+			var readdirCalls = [];
+			var unmockReaddir = spyOnReaddir(copy, readdirCalls);
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: function(filePath) {
+						if (filePath === '1') { return copy.SKIP_SUBTREE; }
+						return true;
+					}
+				}
+			).then(function(results) {
+				unmockReaddir();
+				var actual, expected;
+				actual = readdirCalls.map(function(directoryPath) {
+					return slash(path.relative(getSourcePath('nested-directory'), directoryPath));
+				}).sort();
+				expected = ['', '2', '2/2-1', '2/2-2'];
+				expect(actual).to.eql(expected);
+
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = Object.keys(files).sort();
+						expected = ['2', 'a', 'b'];
+						expect(actual).to.eql(expected);
+					});
+			}).catch(function(error) {
+				unmockReaddir();
+				throw error;
+			});
+		});
+
+		it('should pass file stats and source paths to filter functions', function() {
+			var filterCalls = [];
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					filter: function(filePath, stats, srcPath) {
+						filterCalls.push({
+							path: filePath,
+							isDirectory: stats.isDirectory(),
+							src: srcPath
+						});
+						return stats.isDirectory() || (filePath !== 'b');
+					}
+				}
+			).then(function(results) {
+				var actual, expected;
+				actual = filterCalls.sort(function(a, b) {
+					return (a.path < b.path ? -1 : 1);
+				});
+				expected = [
+					{ path: '', isDirectory: true, src: getSourcePath('directory') },
+					{ path: 'a', isDirectory: false, src: getSourcePath('directory/a') },
+					{ path: 'b', isDirectory: false, src: getSourcePath('directory/b') },
+					{ path: 'c', isDirectory: false, src: getSourcePath('directory/c') }
+				];
+				expect(actual).to.eql(expected);
+
 				return getOutputFiles()
 					.then(function(files) {
 						var actual, expected;
 						actual = files;
 						expected = {
-							'2': {
-								'2-1': {
-									'2-1-a': '2-1-a\n',
-									'2-1-b': '2-1-b\n'
-								},
-								'2-2': {
-									'2-2-a': '2-2-a\n',
-									'2-2-b': '2-2-b\n'
-								},
-								'2-a': '2-a\n',
-								'2-b': '2-b\n'
-							}
+							a: 'a\n',
+							c: 'c\n'
 						};
 						expect(actual).to.eql(expected);
 					});
 			});
 		});
 
-		it('should combine multiple filters from arrays', function() {
+		it('should filter output files via async functions', function() {
 			return copy(
 				getSourcePath('nested-directory'),
 				getDestinationPath(),
 				{
-					filter: [
-						'1/**/*',
-						'!1/1-1/**/*',
-						/^2\/(?!2-1\/).*$/,
-						function(filePath) {
-							return filePath === 'a';
-						}
-					]
+					filter: function(filePath, stats) {
+						return new Promise(function(resolve) {
+							setTimeout(function() {
+								if (filePath === '1') { return resolve(copy.SKIP_SUBTREE); }
+								resolve(stats.isDirectory() || (stats.size < 5));
+							});
+						});
+					}
 				}
 			).then(function(results) {
 				return getOutputFiles()
@@ -850,32 +3887,40 @@ describe('copy()', function() {
 						var actual, expected;
 						actual = files;
 						expected = {
-							'1': {
-								'1-1': {},
-								'1-2': {
-									'1-2-a': '1-2-a\n',
-									'1-2-b': '1-2-b\n'
-								},
-								'1-a': '1-a\n',
-								'1-b': '1-b\n'
-							},
 							'2': {
-								'2-1': {
-								},
-								'2-2': {
-									'2-2-a': '2-2-a\n',
-									'2-2-b': '2-2-b\n'
-								},
+								'2-1': {},
+								'2-2': {},
 								'2-a': '2-a\n',
 								'2-b': '2-b\n'
 							},
-							'a': 'a\n'
+							'a': 'a\n',
+							'b': 'b\n'
 						};
 						expect(actual).to.eql(expected);
 					});
 			});
 		});
 
+		it('should fail if an async filter function rejects', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					filter: function(filePath, stats) {
+						if (filePath === 'b') { return Promise.reject(new Error('Filter error')); }
+						return Promise.resolve(true);
+					}
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.message;
+				expected = 'Filter error';
+				expect(actual).to.equal(expected);
+			});
+		});
+
 		it('should rename files', function() {
 			return copy(
 				getSourcePath('nested-directory'),
@@ -1026,7 +4071,207 @@ describe('copy()', function() {
 				getDestinationPath(),
 				{
 					rename: function(path) {
-						return path.replace(/^2/, 'child/3').replace(/[\/\\]2/g, '/3');
+						return path.replace(/^2/, 'child/3').replace(/[\/\\]2/g, '/3');
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'1': {
+								'1-1': {
+									'1-1-a': '1-1-a\n',
+									'1-1-b': '1-1-b\n'
+								},
+								'1-2': {
+									'1-2-a': '1-2-a\n',
+									'1-2-b': '1-2-b\n'
+								},
+								'1-a': '1-a\n',
+								'1-b': '1-b\n'
+							},
+							'a': 'a\n',
+							'b': 'b\n',
+							'child': {
+								'3': {
+									'3-1': {
+										'3-1-a': '2-1-a\n',
+										'3-1-b': '2-1-b\n'
+									},
+									'3-2': {
+										'3-2-a': '2-2-a\n',
+										'3-2-b': '2-2-b\n'
+									},
+									'3-a': '2-a\n',
+									'3-b': '2-b\n'
+								}
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should filter files before renaming', function() {
+			return copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					filter: function(path) {
+						return path === 'a';
+					},
+					rename: function(path) {
+						if (path === 'a') { return 'b'; }
+						return path;
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'b': 'a\n'
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should allow rename functions to return a promise', function() {
+			var renameArguments = [];
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					rename: function(path, stats) {
+						renameArguments.push([path, stats.isDirectory()]);
+						return Promise.resolve(stats.isDirectory() ? path : path + '.txt');
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'a.txt': 'a\n',
+							'b.txt': 'b\n',
+							'c.txt': 'c\n'
+						};
+						expect(actual).to.eql(expected);
+						actual = renameArguments.sort();
+						expected = [
+							['', true],
+							['a', false],
+							['b', false],
+							['c', false]
+						];
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should fail without copying if multiple files are renamed to the same destination path', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					rename: function(path) {
+						return (path === 'b' ? 'a' : path);
+					}
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'CollisionError';
+				expect(actual).to.equal(expected);
+				actual = error.code;
+				expected = 'ECOLLISION';
+				expect(actual).to.equal(expected);
+				actual = error.collisions;
+				expected = [
+					{
+						dest: getDestinationPath('a'),
+						sources: [getSourcePath('directory/a'), getSourcePath('directory/b')]
+					}
+				];
+				expect(actual).to.eql(expected);
+				expect(error.message).to.contain(getDestinationPath('a'));
+				return getOutputFiles()
+					.then(function(files) {
+						expect(files).to.eql({});
+					});
+			});
+		});
+
+		it('should detect destination path collisions between multiple sources', function() {
+			return copy(
+				[getSourcePath('directory/a'), getSourcePath('nested-directory/a')],
+				getDestinationPath()
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.collisions;
+				expected = [
+					{
+						dest: getDestinationPath('a'),
+						sources: [getSourcePath('directory/a'), getSourcePath('nested-directory/a')]
+					}
+				];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should merge directories from multiple sources that share a destination path', function() {
+			return copy(
+				[getSourcePath('directory'), getSourcePath('nested-directory/1')],
+				getDestinationPath(),
+				{
+					rename: function(path) {
+						return path.replace(/^1/, 'directory');
+					}
+				}
+			).then(function(results) {
+				return getOutputFiles()
+					.then(function(files) {
+						var actual, expected;
+						actual = files;
+						expected = {
+							'directory': {
+								'1-1': {
+									'1-1-a': '1-1-a\n',
+									'1-1-b': '1-1-b\n'
+								},
+								'1-2': {
+									'1-2-a': '1-2-a\n',
+									'1-2-b': '1-2-b\n'
+								},
+								'1-a': '1-a\n',
+								'1-b': '1-b\n',
+								'a': 'a\n',
+								'b': 'b\n',
+								'c': 'c\n'
+							}
+						};
+						expect(actual).to.eql(expected);
+					});
+			});
+		});
+
+		it('should copy the first colliding source path if collision is set to "first"', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					collision: 'first',
+					rename: function(path) {
+						return (path ? 'a' : path);
 					}
 				}
 			).then(function(results) {
@@ -1035,51 +4280,24 @@ describe('copy()', function() {
 						var actual, expected;
 						actual = files;
 						expected = {
-							'1': {
-								'1-1': {
-									'1-1-a': '1-1-a\n',
-									'1-1-b': '1-1-b\n'
-								},
-								'1-2': {
-									'1-2-a': '1-2-a\n',
-									'1-2-b': '1-2-b\n'
-								},
-								'1-a': '1-a\n',
-								'1-b': '1-b\n'
-							},
-							'a': 'a\n',
-							'b': 'b\n',
-							'child': {
-								'3': {
-									'3-1': {
-										'3-1-a': '2-1-a\n',
-										'3-1-b': '2-1-b\n'
-									},
-									'3-2': {
-										'3-2-a': '2-2-a\n',
-										'3-2-b': '2-2-b\n'
-									},
-									'3-a': '2-a\n',
-									'3-b': '2-b\n'
-								}
-							}
+							'a': 'a\n'
 						};
 						expect(actual).to.eql(expected);
+						actual = results.length;
+						expected = 2;
+						expect(actual).to.equal(expected);
 					});
 			});
 		});
 
-		it('should filter files before renaming', function() {
+		it('should copy the last colliding source path if collision is set to "last"', function() {
 			return copy(
-				getSourcePath('nested-directory'),
+				getSourcePath('directory'),
 				getDestinationPath(),
 				{
-					filter: function(path) {
-						return path === 'a';
-					},
+					collision: 'last',
 					rename: function(path) {
-						if (path === 'a') { return 'b'; }
-						return path;
+						return (path ? 'a' : path);
 					}
 				}
 			).then(function(results) {
@@ -1088,7 +4306,7 @@ describe('copy()', function() {
 						var actual, expected;
 						actual = files;
 						expected = {
-							'b': 'a\n'
+							'a': 'c\n'
 						};
 						expect(actual).to.eql(expected);
 					});
@@ -1307,6 +4525,235 @@ describe('copy()', function() {
 		});
 	});
 
+	describe('cancellation', function() {
+		it('should reject with an AbortError when aborted', function() {
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1
+				}
+			);
+			var events = listenTo(copier, [copy.events.COPY_FILE_COMPLETE]);
+			copier.on(copy.events.COPY_FILE_START, function() {
+				copier.abort();
+			});
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = error.code;
+				expected = 'ABORT_ERR';
+				expect(actual).to.equal(expected);
+
+				actual = events.length;
+				expected = 0;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should stop scheduling copy operations when aborted', function() {
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1
+				}
+			);
+			var events = listenTo(copier, [copy.events.CREATE_DIRECTORY_START, copy.events.COPY_FILE_START]);
+			copier.on(copy.events.CREATE_DIRECTORY_COMPLETE, function() {
+				copier.abort();
+			});
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = events.length;
+				expected = 1;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should remove partially written files when aborted', function() {
+			var copier = copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							setTimeout(function() {
+								copier.abort();
+							});
+						});
+					}
+				}
+			);
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = fs.existsSync(getDestinationPath('file'));
+				expected = false;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should stop copying large untransformed files when aborted', function() {
+			fs.writeFileSync(getDestinationPath('large'), Buffer.alloc(9 * 1024 * 1024, 'a'));
+			var copier = copy(
+				getDestinationPath('large'),
+				getDestinationPath('output'),
+				{
+					reflink: false,
+					progressInterval: 0
+				}
+			);
+			var numProgressEvents = 0;
+			copier.on(copy.events.PROGRESS, function(progress) {
+				if (++numProgressEvents === 1) { copier.abort(); }
+			});
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = fs.existsSync(getDestinationPath('output'));
+				expected = false;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should remove temporary files when an atomic copy is aborted', function() {
+			fs.writeFileSync(getDestinationPath('file'), 'Goodbye, world!');
+			var copier = copy(
+				getSourcePath('file'),
+				getDestinationPath('file'),
+				{
+					atomic: true,
+					overwrite: true,
+					transform: function(src, dest, stats) {
+						return through(function(chunk, enc, done) {
+							setTimeout(function() {
+								copier.abort();
+							});
+						});
+					}
+				}
+			);
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = fs.readdirSync(getDestinationPath());
+				expected = ['file'];
+				expect(actual).to.eql(expected);
+
+				actual = fs.readFileSync(getDestinationPath('file'), 'utf8');
+				expected = 'Goodbye, world!';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should abort via the callback interface', function(done) {
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				function(error, results) {
+					expect(error).to.exist;
+					expect(results).not.to.exist;
+
+					var actual, expected;
+					actual = error.name;
+					expected = 'AbortError';
+					expect(actual).to.equal(expected);
+
+					done();
+				}
+			);
+			copier.abort();
+		});
+
+		it('should not copy anything if the signal option is already aborted', function() {
+			if (typeof global.AbortController !== 'function') { return this.skip(); }
+			var controller = new global.AbortController();
+			controller.abort();
+			return copy(
+				getSourcePath('file'),
+				getDestinationPath('nested/file'),
+				{
+					signal: controller.signal
+				}
+			).then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+
+				actual = fs.existsSync(getDestinationPath('nested'));
+				expected = false;
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should abort when the signal option is aborted', function() {
+			if (typeof global.AbortController !== 'function') { return this.skip(); }
+			var controller = new global.AbortController();
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1,
+					signal: controller.signal
+				}
+			);
+			copier.on(copy.events.COPY_FILE_START, function() {
+				controller.abort();
+			});
+			return copier.then(function() {
+				throw new Error('Should throw error');
+			}).catch(function(error) {
+				var actual, expected;
+				actual = error.name;
+				expected = 'AbortError';
+				expect(actual).to.equal(expected);
+			});
+		});
+
+		it('should ignore abort calls once the copy has completed', function() {
+			var copier = copy(
+				getSourcePath('file'),
+				getDestinationPath('file')
+			);
+			return copier.then(function(results) {
+				copier.abort();
+				checkResults(results, {
+					'file': 'file'
+				});
+			});
+		});
+	});
+
 	describe('callbacks', function() {
 		it('should invoke the callback on success (without options)', function(done) {
 			copy(
@@ -1393,9 +4840,22 @@ describe('copy()', function() {
 				CREATE_SYMLINK_START: 'createSymlinkStart',
 				CREATE_SYMLINK_ERROR: 'createSymlinkError',
 				CREATE_SYMLINK_COMPLETE: 'createSymlinkComplete',
+				CREATE_SPECIAL_FILE_START: 'createSpecialFileStart',
+				CREATE_SPECIAL_FILE_ERROR: 'createSpecialFileError',
+				CREATE_SPECIAL_FILE_COMPLETE: 'createSpecialFileComplete',
+				SPECIAL_FILE_SKIPPED: 'specialFileSkipped',
 				COPY_FILE_START: 'copyFileStart',
 				COPY_FILE_ERROR: 'copyFileError',
-				COPY_FILE_COMPLETE: 'copyFileComplete'
+				COPY_FILE_COMPLETE: 'copyFileComplete',
+				COPY_FILE_SKIPPED: 'copyFileSkipped',
+				REMOVE_START: 'removeStart',
+				REMOVE_ERROR: 'removeError',
+				REMOVE_COMPLETE: 'removeComplete',
+				BACKUP_START: 'backupStart',
+				BACKUP_ERROR: 'backupError',
+				BACKUP_COMPLETE: 'backupComplete',
+				SYMLINK_CYCLE: 'symlinkCycle',
+				PROGRESS: 'progress'
 			};
 			expect(actual).to.eql(expected);
 		});
@@ -1438,7 +4898,7 @@ describe('copy()', function() {
 				});
 
 				actual = eventNames;
-				expected = ['copyFileStart', 'copyFileComplete', 'complete'];
+				expected = ['copyFileStart', 'progress', 'progress', 'copyFileComplete', 'complete'];
 				expect(actual).to.eql(expected);
 
 				var completeEvent = events.filter(function(event) {
@@ -1523,7 +4983,7 @@ describe('copy()', function() {
 				});
 
 				actual = eventNames;
-				expected = ['copyFileStart', 'copyFileError', 'error'];
+				expected = ['copyFileStart', 'progress', 'copyFileError', 'error'];
 				expect(actual).to.eql(expected);
 
 
@@ -1814,5 +5274,121 @@ describe('copy()', function() {
 				});
 			});
 		});
+
+		it('should emit progress events', function() {
+			var copier = copy(
+				getSourcePath('directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1,
+					progressInterval: 0
+				}
+			);
+			var events = listenTo(copier, [copy.events.PROGRESS]);
+			return copier.then(function() {
+				var actual, expected;
+				var progress = events.map(function(event) {
+					return event.args[0];
+				});
+
+				actual = progress.length;
+				expected = 6;
+				expect(actual).to.equal(expected);
+
+				actual = path.relative(getSourcePath('directory'), progress[0].src);
+				expected = path.relative(getDestinationPath(), progress[0].dest);
+				expect(actual).to.equal(expected);
+
+				// Totals increase as the source tree is traversed
+				actual = omit(progress[0], ['src', 'dest', 'filesTotal', 'bytesTotal']);
+				expected = {
+					fileBytesCopied: 2,
+					fileBytesTotal: 2,
+					filesCopied: 0,
+					bytesCopied: 2
+				};
+				expect(actual).to.eql(expected);
+
+				actual = omit(progress[progress.length - 1], ['src', 'dest']);
+				expected = {
+					fileBytesCopied: 2,
+					fileBytesTotal: 2,
+					filesCopied: 3,
+					filesTotal: 3,
+					bytesCopied: 6,
+					bytesTotal: 6
+				};
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should throttle progress events', function() {
+			var copier = copy(
+				getSourcePath('nested-directory'),
+				getDestinationPath(),
+				{
+					concurrency: 1,
+					progressInterval: 60000
+				}
+			);
+			var events = listenTo(copier, [copy.events.PROGRESS]);
+			return copier.then(function() {
+				var actual, expected;
+				actual = events.map(function(event) {
+					return event.args[0].filesCopied;
+				});
+				expected = [0, 14];
+				expect(actual).to.eql(expected);
+			});
+		});
+
+		it('should include skipped files in progress events', function() {
+			return copy(
+				getSourcePath('directory'),
+				getDestinationPath()
+			).then(function() {
+				var copier = copy(
+					getSourcePath('directory'),
+					getDestinationPath(),
+					{
+						update: true,
+						progressInterval: 0
+					}
+				);
+				var events = listenTo(copier, [copy.events.PROGRESS]);
+				return copier.then(function() {
+					var actual, expected;
+					var progress = events[events.length - 1].args[0];
+					actual = [progress.filesCopied, progress.filesTotal, progress.bytesCopied, progress.bytesTotal];
+					expected = [3, 3, 6, 6];
+					expect(actual).to.eql(expected);
+				});
+			});
+		});
+
+		it('should not include skipped symlinks in progress events', function() {
+			fs.mkdirSync(getDestinationPath('src'));
+			fs.writeFileSync(getDestinationPath('src/file'), 'Hello, world!\n');
+			fs.symlinkSync('file', getDestinationPath('src/symlink-1'));
+			fs.symlinkSync('file', getDestinationPath('src/symlink-2'));
+			var copier = copy(
+				getDestinationPath('src'),
+				getDestinationPath('output'),
+				{
+					symlinks: 'skip',
+					concurrency: 1,
+					progressInterval: 0
+				}
+			);
+			var events = listenTo(copier, [copy.events.PROGRESS]);
+			return copier.then(function() {
+				var actual, expected;
+				actual = events.map(function(event) {
+					return [event.args[0].filesCopied, event.args[0].filesTotal];
+				});
+				expected = [[0, 1], [1, 1]];
+				expect(actual).to.eql(expected);
+			});
+		});
 	});
 });